@@ -0,0 +1,45 @@
+import { escapeHtml, toMarkup, html, setHtml } from '../js/html.js';
+
+const HOSTILE = `"><script>alert(1)</script><img src=x onerror="alert(2)">'\``;
+
+describe('escapeHtml', () => {
+    test('escapes every character that can open markup or end an attribute', () => {
+        expect(escapeHtml(`<a href="x">'&\``)).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#96;');
+    });
+
+    test('converts non-strings', () => {
+        expect(escapeHtml(42)).toBe('42');
+    });
+});
+
+describe('html', () => {
+    test('escapes interpolated values', () => {
+        expect(toMarkup(html`<b>${'<i>x</i>'}</b>`)).toBe('<b>&lt;i&gt;x&lt;/i&gt;</b>');
+    });
+
+    test('keeps nested templates and arrays of templates as markup', () => {
+        const items = ['a', '<b>'].map(item => html`<li>${item}</li>`);
+        expect(toMarkup(html`<ul>${items}</ul>`)).toBe('<ul><li>a</li><li>&lt;b&gt;</li></ul>');
+    });
+
+    test('renders null, undefined and false as nothing', () => {
+        expect(toMarkup(html`${null}${undefined}${false}${0}`)).toBe('0');
+    });
+});
+
+describe('setHtml', () => {
+    test('shows plain strings as text', () => {
+        const el = document.createElement('div');
+        setHtml(el, HOSTILE);
+        expect(el.children).toHaveLength(0);
+        expect(el.textContent).toBe(HOSTILE);
+    });
+
+    test('does not let interpolated values add elements or attributes', () => {
+        const el = document.createElement('div');
+        setHtml(el, html`<span title="${HOSTILE}">${HOSTILE}</span>`);
+        expect(el.querySelectorAll('*')).toHaveLength(1);
+        expect(el.querySelector('span').getAttribute('title')).toBe(HOSTILE);
+        expect(el.querySelector('span').textContent).toBe(HOSTILE);
+    });
+});
@@ -0,0 +1,90 @@
+import UIManager from '../js/ui-manager.js';
+import SteamErrors from '../js/steam-errors.js';
+
+const HOSTILE_NAMES = [
+    '<img src=x onerror=alert(1)>',
+    '"><script>alert(1)</script>',
+    `'><svg onload=alert(1)>`,
+    '<b>bold</b>&amp;'
+];
+const STEAM_ID = '76561198000000002';
+
+/**
+ * A friend in a joinable casual match whose Steam strings are all the given value
+ * @param {string} value
+ * @returns {Object}
+ */
+function makeFriend(value) {
+    return {
+        steamid: STEAM_ID,
+        personaname: value,
+        avatar: value,
+        status: value,
+        in_game: true,
+        game_mode: 'casual',
+        game_state: 'game',
+        game_map: value,
+        game_score: value,
+        party_size: 2,
+        can_join: true,
+        join_available: true,
+        connect: '+gcconnectG1'
+    };
+}
+
+/**
+ * Elements that only exist when a string was parsed as markup
+ * @param {HTMLElement} root
+ * @returns {Array<Element>}
+ */
+function findInjected(root) {
+    return [...root.querySelectorAll('script, svg, b, [onerror], [onload]')]
+        .concat([...root.querySelectorAll('img')].filter(img => img.getAttribute('src') === 'x'));
+}
+
+beforeEach(() => {
+    window.electronAPI = {
+        log: jest.fn(),
+        saveSettings: jest.fn(async () => ({ success: true }))
+    };
+    document.body.innerHTML = `
+        <div class="center-row"></div>
+        <div id="friends-status-message" class="friends-status-message"></div>
+        <div id="error" style="display:none;"></div>
+        <div id="friends"></div>
+    `;
+    UIManager.renderFriendsList([]);
+});
+
+describe.each(HOSTILE_NAMES)('hostile Steam string %s', (name) => {
+    test('renderFriendsList shows it as text', () => {
+        UIManager.renderFriendsList([makeFriend('Alice')], { [STEAM_ID]: { status: 'blocked', blockedReason: 'Alice' } });
+        const benignCount = document.querySelectorAll('#friends *').length;
+        UIManager.renderFriendsList([makeFriend(name)], { [STEAM_ID]: { status: 'blocked', blockedReason: name } });
+
+        const friends = document.getElementById('friends');
+        expect(findInjected(friends)).toEqual([]);
+        expect(friends.querySelector('.personaname-text').textContent).toBe(name);
+        expect(friends.querySelector('.friend-avatar').getAttribute('src')).toBe(name);
+        expect(friends.querySelector('.join-reason').textContent).toContain(name);
+        expect(friends.querySelectorAll('*')).toHaveLength(benignCount);
+    });
+
+    test('showError shows it as text', () => {
+        UIManager.showError(new Error(name));
+        const error = document.getElementById('error');
+        expect(findInjected(error)).toEqual([]);
+        expect(error.querySelector('.notification-main-text').textContent.trim()).toBe(name);
+
+        UIManager.showError(new SteamErrors.SteamApiError(name));
+        expect(findInjected(error)).toEqual([]);
+    });
+
+    test('updateFriendsStatus shows it as text', () => {
+        UIManager.updateFriendsStatus(name);
+        const status = document.getElementById('friends-status-message');
+        expect(findInjected(status)).toEqual([]);
+        expect(status.querySelectorAll('*')).toHaveLength(1);
+        expect(status.textContent).toBe(name);
+    });
+});
@@ -125,6 +125,10 @@ export function validateInputs() {
  * Setup all main app event listeners
  */
 export function setupAppEventListeners() {
+    const minimizeBtn = document.getElementById('window-minimize');
+    if (minimizeBtn) minimizeBtn.addEventListener('click', () => window.electronAPI.minimize());
+    const closeBtn = document.getElementById('window-close');
+    if (closeBtn) closeBtn.addEventListener('click', () => window.electronAPI.close());
     if (updateFriendsBtn) updateFriendsBtn.addEventListener('click', window.updateFriendsList);
     if (steamIdInput) steamIdInput.addEventListener('input', validateInputs);
     if (authInput) authInput.addEventListener('input', validateInputs);
@@ -7,13 +7,14 @@
  */
 const AppState = {
     friendsData: [],
-    friendsRefreshInterval: null,
     savedSettings: null,
     usingSavedFriends: false,
     savedFriendsIds: [],
     savedAvatars: {},
-    autoRefreshIntervalMs: 3000,
-    initialLoadAttempted: false
+    matchStartTimes: {},
+    initialLoadAttempted: false,
+    // Bumped on every profile switch, so results of requests started for the previous profile can be dropped
+    profileGeneration: 0
 };
 
 export default AppState;
\ No newline at end of file
@@ -0,0 +1,24 @@
+/**
+ * App Version module
+ * Shows the application version in the footer
+ */
+
+// Utility: Get element by ID
+const $id = (id) => document.getElementById(id);
+
+/**
+ * Fill the footer version label from the main process
+ */
+async function show() {
+    const el = $id('app-version');
+    if (!el || !window.electronAPI || !window.electronAPI.getAppVersion) return;
+    const version = await window.electronAPI.getAppVersion();
+    if (version) el.textContent = 'v' + version + ' ';
+}
+
+// Public API for AppVersion
+const AppVersion = {
+    show
+};
+
+export default AppVersion;
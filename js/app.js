@@ -2,7 +2,29 @@ import SteamAPI from './steam-api.js';
 import UIManager from './ui-manager.js';
 import JoinManager from './join-manager.js';
 import AppState from './app-state.js';
+import StatusPoller from './status-poller.js';
+import SteamErrors from './steam-errors.js';
+import LogViewer from './log-viewer.js';
+import HistoryViewer from './history-viewer.js';
+import JoinSettings from './join-settings.js';
+import SettingsPanel from './settings-panel.js';
+import LaunchGuard from './launch-guard.js';
+import MyStatus from './my-status.js';
+import TokenMonitor from './token-monitor.js';
+import FriendsSync from './friends-sync.js';
+import RefreshScheduler from './refresh-scheduler.js';
+import AppVersion from './app-version.js';
+import AvatarCache from './avatar-cache.js';
+import PassphraseDialog from './passphrase-dialog.js';
+import Preferences from './preferences.js';
+import ProfileSwitcher from './profile-switcher.js';
+import GameModes from './game-modes.js';
+import SavedViews from './saved-views.js';
+import WatchList from './watch-list.js';
+import Notifier from './notifier.js';
+import Favourites from './favourites.js';
 import { validateSteamId, validateApiAuth } from './app-validators.js';
+import { html } from './html.js';
 import { handleSteamIdPaste, validateInputs, setupAppEventListeners } from './app-events.js';
 
 // =====================
@@ -21,41 +43,167 @@ function getAuth() {
     return SteamAPI.extractApiKeyOrToken(authInput.value.trim());
 }
 
+// =====================
+// Settings Persistence
+// =====================
+
+/**
+ * Ask the user to choose the passphrase that encrypts saved credentials
+ * @returns {Promise<boolean>} - Whether a passphrase was set
+ */
+function promptCreatePassphrase() {
+    return PassphraseDialog.prompt('create', passphrase => window.electronAPI.setCredentialPassphrase(passphrase));
+}
+
+/**
+ * Unlock or migrate encrypted credentials of loaded settings when needed
+ * @param {Object|null} settings
+ * @returns {Promise<Object|null>}
+ */
+async function resolveCredentials(settings) {
+    if (!settings) return settings;
+    if (settings.credentials_locked) {
+        let unlocked = null;
+        await PassphraseDialog.prompt('unlock', async (passphrase) => {
+            unlocked = await window.electronAPI.unlockCredentials(passphrase);
+            return !!unlocked;
+        });
+        if (unlocked) {
+            settings = unlocked;
+        } else {
+            window.electronAPI.log('warn', 'Saved credentials were left locked');
+        }
+    } else if (settings.credentials_need_passphrase) {
+        if (!await promptCreatePassphrase()) {
+            window.electronAPI.log('warn', 'Saved credentials remain unencrypted until a passphrase is set');
+        }
+    }
+    if (settings.credentials_unreadable) {
+        UIManager.showError("Saved credentials could not be decrypted. Please enter your Steam Web API Token / Key and SteamID64 again.");
+    }
+    return settings;
+}
+
+/**
+ * Load settings of the active profile
+ * @returns {Promise<Object|null>}
+ */
+async function loadSettings() {
+    return resolveCredentials(await window.electronAPI.loadSettings());
+}
+
+/**
+ * Save settings, asking for a passphrase first if credentials can not be encrypted otherwise
+ * @param {Object} data
+ * @param {{generation: number, name: string|undefined}} [profile] - Profile the data belongs to, from captureProfile
+ * @returns {Promise<boolean>}
+ */
+async function saveSettings(data, profile = captureProfile()) {
+    const status = await window.electronAPI.getCredentialStatus();
+    if (!status.unlocked && !await promptCreatePassphrase()) {
+        window.electronAPI.log('warn', 'Settings not saved: no passphrase set for credential encryption');
+        return false;
+    }
+    if (!isCurrentProfile(profile)) {
+        window.electronAPI.log('warn', 'Settings not saved: the profile was switched');
+        return false;
+    }
+    return window.electronAPI.saveSettings(data, profile.name);
+}
+
 // =====================
 // API Calls and Data Flow
 // =====================
 
+// Status poller subscription used by the friends list auto-refresh
+const FRIENDS_POLLER_KEY = 'friends-list';
+
 /**
- * Fetch and render friends by their IDs
- * @param {Array} friendIds
- * @param {string} auth
- * @param {boolean} [keepStates=false]
- * @returns {Promise<Array>}
+ * Remember when each friend was first seen in their current match, for sorting by time in match
+ * @param {Array} friends - Friend status objects
+ * @returns {Array} - Copies with in_match_since set
  */
-async function fetchAndRenderFriendsByIds(friendIds, auth, keepStates = false) {
-    if (!friendIds || !friendIds.length) {
-        console.error("No friend IDs provided to fetchAndRenderFriendsByIds");
-        return [];
+function stampMatchTimes(friends) {
+    const now = Date.now();
+    const times = {};
+    for (const friend of friends) {
+        const match = friend.game_server_steam_id || friend.connect || friend.game_map;
+        const previous = AppState.matchStartTimes[friend.steamid];
+        times[friend.steamid] = previous && previous.match === match ? previous : { match, since: now };
     }
-    try {
-        const allStatuses = await SteamAPI.getFriendsStatuses(friendIds, auth, AppState.savedAvatars);
-        const casualFriends = allStatuses.filter(f => f.can_join);
-        console.log(`[DEBUG] Friends in Casual mode (${casualFriends.length}):`, casualFriends.map(f => ({
-            steamid: f.steamid,
-            personaname: f.personaname,
-            status: f.status,
-            game_map: f.game_map,
-            connect: f.connect
-        })));
-        AppState.friendsData = casualFriends;
-        const joinStates = keepStates ? JoinManager.getJoinStates() : {};
-        UIManager.renderFriendsList(AppState.friendsData, joinStates);
-        return AppState.friendsData;
-    } catch (error) {
-        console.error("Error in fetchAndRenderFriendsByIds:", error);
-        if (!keepStates) UIManager.showError(error.message || error);
-        throw error;
+    AppState.matchStartTimes = times;
+    return friends.map(friend => ({ ...friend, in_match_since: times[friend.steamid].since }));
+}
+
+/**
+ * Whether a join or the join queue is running
+ * @returns {boolean}
+ */
+function isJoinActive() {
+    const joinActive = Object.values(JoinManager.getJoinStates())
+        .some(state => ['waiting', 'connecting', 'blocked', 'missing'].includes(state.status));
+    return joinActive || JoinManager.getQueue().active;
+}
+
+/**
+ * Start joining an auto-join favourite that just became joinable
+ * Never fires while a join or the queue is running, or while the user is (or may be) in a match
+ * @param {Array} joinableFriends - Friends currently in a joinable match
+ * @param {Object|undefined} ownStatus - The user's status from the same snapshot
+ */
+function maybeAutoJoin(joinableFriends, ownStatus) {
+    const target = Favourites.findAutoJoinTarget(joinableFriends);
+    if (!target) return;
+    if (isJoinActive()) return;
+    if (LaunchGuard.isInMatch(ownStatus) !== false) return;
+    Favourites.markHandled(target.steamid);
+    window.electronAPI.log('info', `Auto-joining favourite ${target.steamid}`);
+    JoinManager.startJoin(target.steamid);
+}
+
+/**
+ * Render friends in a joinable mode from a status poller snapshot
+ * Friends whose lookup failed keep their previous status until the next successful poll
+ * @param {{timestamp: number, statuses: Object, failedIds: Array<string>, error: Error|null}} snapshot
+ */
+function handleFriendsSnapshot(snapshot) {
+    if (!AppState.usingSavedFriends || !AppState.savedFriendsIds.length) return;
+    if (snapshot.error) {
+        if (snapshot.error instanceof SteamErrors.SteamAuthError) {
+            // Polling again with rejected credentials only adds failed requests
+            window.electronAPI.log('error', "Auto-refresh stopped: " + snapshot.error.message);
+            StatusPoller.unsubscribe(FRIENDS_POLLER_KEY);
+            UIManager.updateRefreshCadence(null);
+            UIManager.showError(snapshot.error);
+            return;
+        }
+        window.electronAPI.log('warn', "Auto-refresh fetch failed: " + (snapshot.error.message || snapshot.error));
+        RefreshScheduler.recordResult(false);
+        return;
     }
+    RefreshScheduler.recordResult(true);
+    const failed = new Set(snapshot.failedIds);
+    const previous = {};
+    AppState.friendsData.forEach(friend => { previous[friend.steamid] = friend; });
+    const casualFriends = AppState.savedFriendsIds
+        .map(sid => failed.has(sid) ? previous[sid] : snapshot.statuses[sid])
+        .filter(friend => friend && friend.can_join)
+        .map(friend => ({
+            ...friend,
+            avatar: AvatarCache.getSrc(friend.steamid, AppState.savedAvatars[friend.steamid]?.avatarfull || friend.avatar)
+        }));
+    console.log(`[DEBUG] Friends in Casual mode (${casualFriends.length}):`, casualFriends.map(f => ({
+        steamid: f.steamid,
+        personaname: f.personaname,
+        status: f.status,
+        game_map: f.game_map,
+        connect: f.connect
+    })));
+    AppState.friendsData = stampMatchTimes(casualFriends);
+    WatchList.update(AppState.friendsData, JoinManager.getJoinStates());
+    maybeAutoJoin(AppState.friendsData, snapshot.statuses[getSteamId()]);
+    UIManager.renderFriendsList(AppState.friendsData, JoinManager.getJoinStates());
+    RefreshScheduler.setActivity(AppState.friendsData.length > 0, isJoinActive());
 }
 
 /**
@@ -91,11 +239,14 @@ async function updateFriendsList() {
         updateBtn.disabled = true;
         updateBtn.textContent = "Updating...";
     }
+    // A saved list of the same account is diffed against, so the user sees what changed
+    const previousIds = AppState.usingSavedFriends ? AppState.savedFriendsIds : [];
+    const profile = captureProfile();
     try {
-        let allFriendIds = [];
+        let synced;
         try {
-            allFriendIds = await SteamAPI.getFriendsList(steam_id, auth);
-            console.log('[SteamAPI] FriendsList (ids):', allFriendIds);
+            synced = await FriendsSync.fetchFriends(steam_id, auth, previousIds, AppState.savedAvatars, { refreshAvatars: true });
+            console.log('[SteamAPI] FriendsList (ids):', synced.ids);
             UIManager.hideError();
         } catch (err) {
             UIManager.showError(err, steam_id);
@@ -106,43 +257,57 @@ async function updateFriendsList() {
                 updateBtn.textContent = "Update Friends List";
             }
         }
-        if (!allFriendIds.length) {
+        // A load started for the previous profile must not replace the new profile's friends
+        if (!isCurrentProfile(profile)) {
+            window.electronAPI.log('info', 'Friends list update dropped after a profile switch');
+            return;
+        }
+        if (!synced.ids.length) {
             UIManager.showError("No friends found in your friends list.", steam_id);
             return;
         }
-        const avatarsMap = await SteamAPI.getPlayerSummaries(allFriendIds, auth);
-        console.log('[SteamAPI] PlayerSummaries:', avatarsMap);
-        AppState.savedAvatars = {};
-        for (const sid of allFriendIds) {
-            if (avatarsMap[sid]) {
-                AppState.savedAvatars[sid] = {
-                    avatarfull: avatarsMap[sid].avatarfull
-                };
-            }
+        AppState.savedAvatars = synced.avatars;
+        AppState.savedFriendsIds = synced.ids;
+        applyRenames(synced.renamed);
+        if (previousIds.length) {
+            UIManager.showFriendsSyncSummary(`Friends list updated: ${FriendsSync.formatSummary(synced)}`);
         }
-        AppState.savedFriendsIds = allFriendIds;
-        const statuses = await SteamAPI.getFriendsStatuses(AppState.savedFriendsIds, auth, AppState.savedAvatars);
+        const { friends: statuses, failedIds } = await SteamAPI.getFriendsStatuses(AppState.savedFriendsIds, auth, AppState.savedAvatars);
         console.log('[SteamAPI] FriendsStatuses:', statuses);
-        const casualFriends = statuses.filter(f => f.can_join);
+        // Friends whose lookup failed keep their previous status until the next successful poll
+        const failed = new Set(failedIds);
+        if (failed.size) {
+            window.electronAPI.log('warn', `Could not load the status of ${failed.size} friends, keeping their previous status`);
+        }
+        const casualFriends = [
+            ...statuses,
+            ...AppState.friendsData.filter(friend => failed.has(friend.steamid))
+        ].filter(f => f.can_join);
         console.log('[SteamAPI] Filtered casual friends:', casualFriends);
-        const saveResult = await window.electronAPI.saveSettings({
+        if (!isCurrentProfile(profile)) {
+            window.electronAPI.log('info', 'Friends list update dropped after a profile switch');
+            return;
+        }
+        const saveResult = await saveSettings({
             steam_id,
             auth: auth,
             friends_ids: AppState.savedFriendsIds,
             avatars: AppState.savedAvatars
-        });
+        }, profile);
+        if (!isCurrentProfile(profile)) return;
         AppState.usingSavedFriends = true;
-        if (window.JoinManager && typeof window.JoinManager.resetAll === "function") {
-            window.JoinManager.resetAll();
-        }
+        // Running joins are left alone; they do not depend on the friends list
         // Передаем уже отфильтрованных друзей в casual для рендера
-        AppState.friendsData = casualFriends;
+        AppState.friendsData = stampMatchTimes(casualFriends.map(friend => ({
+            ...friend,
+            avatar: AvatarCache.getSrc(friend.steamid, friend.avatar)
+        })));
         const joinStates = JoinManager.getJoinStates ? JoinManager.getJoinStates() : {};
         UIManager.renderFriendsList(AppState.friendsData, joinStates);
         startAutoRefresh();
     } catch (error) {
         console.error("Error during friends refresh:", error);
-        UIManager.showError(error.message || error, steam_id);
+        UIManager.showError(error, steam_id);
     } finally {
         if (updateBtn) {
             updateBtn.disabled = false;
@@ -151,32 +316,363 @@ async function updateFriendsList() {
     }
 }
 
+/**
+ * Subscribe the saved friends to the status poller, replacing a previous subscription
+ * The user's own status is polled too, so auto-join can tell whether they are in a match
+ */
+function subscribeFriendsPoller() {
+    const steamids = [...AppState.savedFriendsIds, getSteamId()].filter(Boolean);
+    StatusPoller.subscribe(FRIENDS_POLLER_KEY, steamids, handleFriendsSnapshot, RefreshScheduler.getIntervalMs());
+}
+
+/**
+ * Apply a new refresh cadence to the running friends subscription and show it
+ * @param {number} intervalMs
+ */
+function applyRefreshInterval(intervalMs) {
+    MyStatus.updateInterval();
+    if (!StatusPoller.isSubscribed(FRIENDS_POLLER_KEY)) return;
+    window.electronAPI.log('info', `Friends refresh interval is now ${intervalMs} ms`);
+    StatusPoller.updateInterval(FRIENDS_POLLER_KEY, intervalMs);
+    UIManager.updateRefreshCadence(RefreshScheduler.describe());
+}
+
+/**
+ * Keep the names saved with favourites and watched friends current after friends renamed
+ * @param {Array<{steamid: string, personaname: string, previousName: string}>} renamed
+ */
+function applyRenames(renamed) {
+    renamed.forEach(({ steamid, personaname, previousName }) => {
+        window.electronAPI.log('info', `Friend ${steamid} renamed from "${previousName}" to "${personaname}"`);
+        Favourites.rename(steamid, personaname);
+        WatchList.rename(steamid, personaname);
+    });
+}
+
+/**
+ * Remember which profile the state belongs to before awaiting a request
+ * @returns {{generation: number, name: string|undefined}}
+ */
+function captureProfile() {
+    return { generation: AppState.profileGeneration, name: AppState.savedSettings?.profile_name };
+}
+
+/**
+ * Check whether a profile captured before a request is still the active one
+ * @param {{generation: number}} profile - Result of captureProfile
+ * @returns {boolean}
+ */
+function isCurrentProfile(profile) {
+    return profile.generation === AppState.profileGeneration;
+}
+
+/**
+ * Save friend IDs and avatars of a profile, unless another profile became active meanwhile
+ * They are not credentials, so they are saved without the passphrase prompt
+ * @param {{generation: number, name: string|undefined}} profile - Result of captureProfile
+ */
+async function saveFriendsCache(profile) {
+    if (!isCurrentProfile(profile)) return;
+    try {
+        await window.electronAPI.saveSettings({ friends_ids: AppState.savedFriendsIds, avatars: AppState.savedAvatars }, profile.name);
+    } catch (error) {
+        window.electronAPI.log('error', 'Failed to save the friends list: ' + error.message);
+    }
+}
+
+/**
+ * Refresh avatars and names of saved friends whose cache entry is missing or outdated
+ */
+async function refreshStaleProfiles() {
+    const auth = getAuth();
+    const profile = captureProfile();
+    const stale = await AvatarCache.load(AppState.savedFriendsIds);
+    if (!stale.length || !auth || StatusPoller.isPaused() || !isCurrentProfile(profile)) return;
+    try {
+        const { players, renamed } = await FriendsSync.refreshProfiles(stale, auth);
+        if (!isCurrentProfile(profile)) return;
+        stale.forEach(steamid => {
+            if (players[steamid]) AppState.savedAvatars[steamid] = { avatarfull: players[steamid].avatarfull };
+        });
+        applyRenames(renamed);
+        await saveFriendsCache(profile);
+        window.electronAPI.log('info', `Refreshed avatars and names of ${Object.keys(players).length} friends`);
+    } catch (error) {
+        window.electronAPI.log('warn', 'Failed to refresh friend avatars: ' + error.message);
+    }
+}
+
+/**
+ * Resync the saved friends list in the background
+ * Added and removed friends are applied to the running auto-refresh without touching joins
+ */
+async function resyncFriends() {
+    const steam_id = getSteamId();
+    const auth = getAuth();
+    if (!AppState.usingSavedFriends || !steam_id || !auth || StatusPoller.isPaused()) return;
+    const profile = captureProfile();
+    let synced;
+    try {
+        synced = await FriendsSync.fetchFriends(steam_id, auth, AppState.savedFriendsIds, AppState.savedAvatars);
+    } catch (error) {
+        // A private friends list or a failed request keeps the saved list in use
+        window.electronAPI.log('warn', 'Background friends resync failed: ' + error.message);
+        return;
+    }
+    // The profile was switched while the request ran; its result belongs to the previous profile
+    if (!isCurrentProfile(profile)) {
+        window.electronAPI.log('debug', 'Background friends resync dropped after a profile switch');
+        return;
+    }
+    applyRenames(synced.renamed);
+    const changed = synced.added.length || synced.removed.length;
+    if (!changed && !synced.refreshed.length) {
+        window.electronAPI.log('debug', 'Background friends resync: no changes');
+        return;
+    }
+    AppState.savedFriendsIds = synced.ids;
+    AppState.savedAvatars = synced.avatars;
+    await saveFriendsCache(profile);
+    if (!changed) return;
+    const summary = FriendsSync.formatSummary(synced);
+    window.electronAPI.log('info', `Background friends resync: ${summary}`);
+    if (StatusPoller.isSubscribed(FRIENDS_POLLER_KEY)) subscribeFriendsPoller();
+    UIManager.showFriendsSyncSummary(`Friends list updated: ${summary}`);
+}
+
 /**
  * Start auto-refresh for friends list
+ * Subscribes the saved friends to the shared status poller and waits for the first snapshot
  */
 async function startAutoRefresh() {
     const auth = getAuth();
-    UIManager.updateFriendsStatus('Loading friends in Casual mode...');
+    UIManager.updateFriendsStatus('Loading friends in joinable modes...');
     window.electronAPI.log('info', `Starting auto-refresh with ${AppState.savedFriendsIds.length} saved friends`);
-    try {
-        await fetchAndRenderFriendsByIds(AppState.savedFriendsIds, auth, true);
-        if (AppState.friendsRefreshInterval) clearInterval(AppState.friendsRefreshInterval);
-        AppState.friendsRefreshInterval = setInterval(() => {
-            if (AppState.usingSavedFriends && AppState.savedFriendsIds.length) {
-                fetchAndRenderFriendsByIds(AppState.savedFriendsIds, auth, true)
+    StatusPoller.setAuth(auth);
+    // Polling is still paused when an expired token was replaced with one of another account
+    if (!TokenMonitor.isExpired()) StatusPoller.resume();
+    RefreshScheduler.reset();
+    MyStatus.start(getSteamId());
+    subscribeFriendsPoller();
+    UIManager.updateRefreshCadence(RefreshScheduler.describe());
+    FriendsSync.startPeriodic(resyncFriends);
+    refreshStaleProfiles();
+    const firstSnapshot = await StatusPoller.waitForSnapshot(FRIENDS_POLLER_KEY);
+    if (firstSnapshot && firstSnapshot.error) {
+        StatusPoller.unsubscribe(FRIENDS_POLLER_KEY);
+        UIManager.updateRefreshCadence(null);
+        window.electronAPI.log('error', "Failed to start auto-refresh: " + (firstSnapshot.error.message || firstSnapshot.error));
+        throw firstSnapshot.error;
+    }
+    window.electronAPI.log('info', "Auto-refresh of casual friends status started");
+}
+
+/**
+ * Apply changed timings to the running pollers
+ * The join manager and refresh scheduler read the new values from JoinSettings themselves
+ */
+function applyJoinSettings() {
+    JoinManager.updatePollIntervals();
+    RefreshScheduler.update();
+}
+
+/**
+ * Pause every poll and join loop once the token expired. Subscriptions are kept, so a fresh token resumes them.
+ * @param {{steamid: string, expiresDate: Date}} info - Expired token
+ */
+function pauseForExpiredToken(info) {
+    window.electronAPI.log('warn', `Steam Web API token expired at ${info.expiresDate.toISOString()}, pausing updates`);
+    StatusPoller.pause();
+    UIManager.updateRefreshCadence(null);
+    UIManager.showTokenInfoNotification(info);
+    UIManager.updateFriendsStatus('Your Steam Web API token has expired. Updates and joins are paused until you paste a new token.');
+    Notifier.tokenExpired(info.steamid);
+}
+
+/**
+ * Resume polling with the credentials now in the inputs and save them
+ */
+async function resumeAfterTokenRenewal() {
+    const auth = getAuth();
+    window.electronAPI.log('info', 'New credentials entered, resuming updates');
+    StatusPoller.setAuth(auth);
+    StatusPoller.resume();
+    if (StatusPoller.isSubscribed(FRIENDS_POLLER_KEY)) UIManager.updateRefreshCadence(RefreshScheduler.describe());
+    UIManager.hideError();
+    if (AppState.savedSettings) await saveSettings({ steam_id: getSteamId(), auth });
+    // Nothing was running, e.g. the app started with an expired token
+    if (!StatusPoller.isSubscribed(FRIENDS_POLLER_KEY) && AppState.savedFriendsIds.length && getSteamId()) {
+        AppState.usingSavedFriends = true;
+        startAutoRefresh().catch(error => {
+            window.electronAPI.log('error', 'Auto-refresh startup failed: ' + error.message);
+            UIManager.showError(error, getSteamId());
+        });
+    }
+}
+
+/**
+ * Report a failure while resuming after new credentials were entered
+ * @param {Error} error
+ */
+function handleResumeError(error) {
+    window.electronAPI.log('error', 'Resuming after token renewal failed: ' + error.message);
+    UIManager.showError(error, getSteamId());
+}
+
+/**
+ * Follow the lifecycle of the token in the auth input
+ */
+function setupTokenMonitor() {
+    TokenMonitor.init({
+        onTick: (remainingMs) => UIManager.updateTokenCountdown(
+            remainingMs,
+            TokenMonitor.formatRemaining(remainingMs),
+            remainingMs <= TokenMonitor.WARNING_BEFORE_MS
+        ),
+        onExpiring: (info, remainingMs) => {
+            window.electronAPI.log('warn', `Steam Web API token expires in ${TokenMonitor.formatRemaining(remainingMs)}`);
+            Notifier.tokenExpiring(info.steamid, remainingMs);
+        },
+        onExpired: pauseForExpiredToken,
+        onRenewed: (info) => {
+            // A token for another account can not continue the paused session
+            if (AppState.savedSettings?.steam_id && info.steamid !== AppState.savedSettings.steam_id) {
+                window.electronAPI.log('info', 'New token belongs to another account, click "Update Friends List" to load it');
+                // The paused friends polling belongs to the previous account; a fresh load resumes the poller
+                StatusPoller.unsubscribe(FRIENDS_POLLER_KEY);
+                MyStatus.stop();
+                UIManager.updateRefreshCadence(null);
+                UIManager.updateFriendsStatus('The new token belongs to another Steam account. Click "Update Friends List" to load its friends.');
+                return;
+            }
+            resumeAfterTokenRenewal().catch(handleResumeError);
+        }
+    });
+}
+
+window.updateFriendsList = updateFriendsList;
+
+// Delayed first load scheduled by applySettings; a profile switch cancels it
+let initialLoadTimer = null;
+
+/**
+ * Apply loaded settings: fill the inputs, restore saved friends and start loading them
+ * @param {Object|null} settings
+ */
+function applySettings(settings) {
+    AppState.savedSettings = settings;
+    Preferences.load(settings && settings.preferences, settings?.profile_name);
+    JoinSettings.load();
+    const filterInput = document.getElementById('friend-filter-input');
+    if (filterInput) filterInput.value = Preferences.get('friend_filter', '');
+    GameModes.setJoinableModes(Preferences.get('joinable_modes', GameModes.DEFAULT_JOINABLE_MODES));
+    const modeFilter = document.getElementById('mode-filter');
+    if (modeFilter) modeFilter.value = '';
+    UIManager.renderModeControls();
+    SavedViews.refresh();
+    WatchList.load();
+    Favourites.load();
+    window.electronAPI.log('info', 'Settings loaded: ' + JSON.stringify(AppState.savedSettings ? {
+        profile: AppState.savedSettings.profile_name,
+        has_steam_id: !!AppState.savedSettings.steam_id,
+        has_auth: !!AppState.savedSettings.auth,
+        friend_count: AppState.savedSettings.friends_ids?.length || 0
+    } : null));
+    const hasSavedAccount = AppState.savedSettings && (
+        AppState.savedSettings.steam_id ||
+        AppState.savedSettings.auth ||
+        AppState.savedSettings.friends_ids?.length
+    );
+    if (hasSavedAccount) {
+        if (AppState.savedSettings.steam_id && steamIdInput) steamIdInput.value = AppState.savedSettings.steam_id;
+        if (AppState.savedSettings.auth && authInput) authInput.value = AppState.savedSettings.auth;
+        if (AppState.savedSettings.friends_ids && Array.isArray(AppState.savedSettings.friends_ids)) {
+            AppState.savedFriendsIds = AppState.savedSettings.friends_ids;
+            AppState.usingSavedFriends = true;
+        }
+        if (AppState.savedSettings.avatars && typeof AppState.savedSettings.avatars === 'object') {
+            AppState.savedAvatars = AppState.savedSettings.avatars;
+        }
+        validateInputs();
+        const token = SteamAPI.extractTokenIfAny(AppState.savedSettings.auth || "");
+        if (token) {
+            const info = SteamAPI.parseWebApiToken(token);
+            if (info && info.expires && info.expires * 1000 > Date.now()) {
+                window.electronAPI.log('info', "Detected valid saved token, auto-refreshing friends list via API (privacy ignored)");
+                initialLoadTimer = setTimeout(() => {
+                    initialLoadTimer = null;
+                    AppState.initialLoadAttempted = true;
+                    updateFriendsList();
+                }, 500);
+            } else {
+                window.electronAPI.log('info', "Token is missing or expired, not auto-refreshing friends list");
+                UIManager.updateFriendsStatus('Your Steam Web API Token is expired. Please get a new one and click "Update Friends List".');
+            }
+        } else if (
+            AppState.savedSettings.steam_id &&
+            AppState.savedSettings.auth &&
+            AppState.savedSettings.friends_ids &&
+            AppState.savedSettings.friends_ids.length > 0 &&
+            validateApiAuth(AppState.savedSettings.auth)
+        ) {
+            window.electronAPI.log('info', `Found ${AppState.savedSettings.friends_ids.length} saved friend IDs in settings`);
+            initialLoadTimer = setTimeout(() => {
+                initialLoadTimer = null;
+                AppState.initialLoadAttempted = true;
+                startAutoRefresh()
                     .catch(error => {
-                        window.electronAPI.log('warn', "Auto-refresh fetch failed: " + error.message);
+                        window.electronAPI.log('error', 'Auto-refresh startup failed: ' + error.message);
+                        UIManager.updateFriendsStatus(html`Could not automatically load friends list.<br>Error: ${error.message || 'Unknown error'}<br>Please click "Update Friends List" to try again.`);
                     });
-            }
-        }, AppState.autoRefreshIntervalMs);
-        window.electronAPI.log('info', "Auto-refresh of casual friends status started");
-    } catch (error) {
-        window.electronAPI.log('error', "Failed to start auto-refresh: " + error.message);
-        throw error;
+            }, 500);
+        } else {
+            window.electronAPI.log('info', "Missing required settings for auto-loading friends");
+            UIManager.updateFriendsStatus('Click "Update Friends List" to load your friends');
+        }
+    } else {
+        window.electronAPI.log('info', "No saved settings found");
+        UIManager.updateFriendsStatus(html`
+            Enter your <b>Steam Web API Token</b> (recommended) or <b>API Key</b> (with Steam ID),<br>
+            then click <b>Update Friends List</b>.<br>
+            To get them, click <b>Steam Web API Token / Key</b> or <b>SteamID64</b> above.
+        `);
     }
 }
 
-window.updateFriendsList = updateFriendsList;
+/**
+ * Tear down everything tied to the previous profile and apply the newly active one
+ * @param {Object} settings - Settings of the newly active profile
+ */
+async function switchProfile(settings) {
+    AppState.profileGeneration += 1;
+    clearTimeout(initialLoadTimer);
+    initialLoadTimer = null;
+    StatusPoller.unsubscribe(FRIENDS_POLLER_KEY);
+    FriendsSync.stopPeriodic();
+    MyStatus.stop();
+    TokenMonitor.reset();
+    StatusPoller.resume();
+    JoinManager.resetAll();
+    JoinManager.clearQueue();
+    AppState.friendsData = [];
+    AppState.matchStartTimes = {};
+    AppState.savedFriendsIds = [];
+    AppState.savedAvatars = {};
+    AvatarCache.clear();
+    AppState.usingSavedFriends = false;
+    AppState.initialLoadAttempted = false;
+    if (steamIdInput) steamIdInput.value = '';
+    if (authInput) authInput.value = '';
+    UIManager.hideError();
+    UIManager.hideTokenInfoNotification();
+    UIManager.hideFriendsSyncSummary();
+    UIManager.updateRefreshCadence(null);
+    RefreshScheduler.reset();
+    UIManager.renderFriendsList([]);
+    applySettings(await resolveCredentials(settings));
+    if (authInput) authInput.dispatchEvent(new Event('input'));
+}
+
 
 // =====================
 // Initialization
@@ -186,6 +682,29 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (updateFriendsBtn) updateFriendsBtn.disabled = true;
 
     setupAppEventListeners();
+    AppVersion.show();
+    LogViewer.init();
+    HistoryViewer.init();
+    SettingsPanel.init();
+    setupTokenMonitor();
+    JoinSettings.onChange(applyJoinSettings);
+    RefreshScheduler.init();
+    RefreshScheduler.onChange(applyRefreshInterval);
+    // Joins speed up the friends poll straight away instead of at its next slow tick
+    JoinManager.onChange(() => RefreshScheduler.setActivity(AppState.friendsData.length > 0, isJoinActive()));
+    WatchList.onChange(UIManager.renderWatchList);
+    Notifier.onClick(({ kind, friendId, personaname }) => {
+        // Token notifications lead to the auth input for pasting a new token
+        if (kind === 'token-expiring' || kind === 'token-expired') {
+            if (authInput) {
+                authInput.focus();
+                authInput.select();
+            }
+            return;
+        }
+        // A successful join needs no follow-up; the other notifications offer to join
+        if (kind !== 'join-success') UIManager.showJoinOffer(friendId, personaname);
+    });
 
     if (!document.getElementById('error')) {
         const errorDiv = document.createElement('div');
@@ -196,73 +715,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 
     try {
-        AppState.savedSettings = await window.electronAPI.loadSettings();
-        if (AppState.savedSettings && AppState.savedSettings.api_key) {
-            AppState.savedSettings.auth = SteamAPI.extractApiKeyOrToken(AppState.savedSettings.api_key);
-            delete AppState.savedSettings.api_key;
-            await window.electronAPI.saveSettings({ ...AppState.savedSettings });
-        }
-        window.electronAPI.log('info', 'Settings loaded: ' + JSON.stringify(AppState.savedSettings ? {
-            has_steam_id: !!AppState.savedSettings.steam_id,
-            has_auth: !!AppState.savedSettings.auth,
-            friend_count: AppState.savedSettings.friends_ids?.length || 0
-        } : null));
-        if (AppState.savedSettings) {
-            if (AppState.savedSettings.steam_id && steamIdInput) steamIdInput.value = AppState.savedSettings.steam_id;
-            if (AppState.savedSettings.auth && authInput) authInput.value = AppState.savedSettings.auth;
-            if (AppState.savedSettings.friends_ids && Array.isArray(AppState.savedSettings.friends_ids)) {
-                AppState.savedFriendsIds = AppState.savedSettings.friends_ids;
-                AppState.usingSavedFriends = true;
-            }
-            if (AppState.savedSettings.avatars && typeof AppState.savedSettings.avatars === 'object') {
-                AppState.savedAvatars = AppState.savedSettings.avatars;
-            }
-            validateInputs();
-            const token = SteamAPI.extractTokenIfAny(AppState.savedSettings.auth || "");
-            if (token) {
-                const info = SteamAPI.parseWebApiToken(token);
-                if (info && info.expires && info.expires * 1000 > Date.now()) {
-                    window.electronAPI.log('info', "Detected valid saved token, auto-refreshing friends list via API (privacy ignored)");
-                    setTimeout(() => {
-                        AppState.initialLoadAttempted = true;
-                        updateFriendsList();
-                    }, 500);
-                } else {
-                    window.electronAPI.log('info', "Token is missing or expired, not auto-refreshing friends list");
-                    UIManager.updateFriendsStatus('Your Steam Web API Token is expired. Please get a new one and click "Update Friends List".');
-                }
-            } else if (
-                AppState.savedSettings.steam_id &&
-                AppState.savedSettings.auth &&
-                AppState.savedSettings.friends_ids &&
-                AppState.savedSettings.friends_ids.length > 0 &&
-                validateApiAuth(AppState.savedSettings.auth)
-            ) {
-                window.electronAPI.log('info', `Found ${AppState.savedSettings.friends_ids.length} saved friend IDs in settings`);
-                setTimeout(() => {
-                    AppState.initialLoadAttempted = true;
-                    startAutoRefresh()
-                        .catch(error => {
-                            window.electronAPI.log('error', 'Auto-refresh startup failed: ' + error.message);
-                            UIManager.updateFriendsStatus(`Could not automatically load friends list.<br>Error: ${error.message || 'Unknown error'}<br>Please click "Update Friends List" to try again.`);
-                        });
-                }, 500);
-            } else {
-                window.electronAPI.log('info', "Missing required settings for auto-loading friends");
-                UIManager.updateFriendsStatus('Click "Update Friends List" to load your friends');
-            }
-        } else {
-            window.electronAPI.log('info', "No saved settings found");
-            UIManager.updateFriendsStatus(
-                'Enter your <b>Steam Web API Token</b> (recommended) or <b>API Key</b> (with Steam ID),<br>' +
-                'then click <b>Update Friends List</b>.<br>' +
-                'To get them, click <b>Steam Web API Token / Key</b> or <b>SteamID64</b> above.'
-            );
-        }
+        applySettings(await loadSettings());
     } catch (error) {
         window.electronAPI.log('error', 'Error during app initialization: ' + error.message);
         UIManager.showError('Failed to initialize app: ' + error.message);
     }
+    ProfileSwitcher.init(switchProfile);
 
     if (authInput) {
         authInput.addEventListener('input', () => {
@@ -284,11 +742,19 @@ document.addEventListener('DOMContentLoaded', async () => {
                         validateInputs();
                     }
                     UIManager.showTokenInfoNotification(info);
+                    TokenMonitor.track(info);
                 } else {
                     UIManager.hideTokenInfoNotification();
+                    TokenMonitor.track(null);
                 }
             } else {
                 UIManager.hideTokenInfoNotification();
+                TokenMonitor.track(null);
+                // An API key does not expire, so it ends a pause caused by an expired token
+                if (TokenMonitor.isExpired() && validateApiAuth(val)) {
+                    TokenMonitor.reset();
+                    resumeAfterTokenRenewal().catch(handleResumeError);
+                }
             }
         });
         setTimeout(() => {
@@ -0,0 +1,70 @@
+/**
+ * Avatar Cache module
+ * Renderer side of the on-disk avatar cache kept by the main process.
+ * Friends are shown with their cached image and name; the Steam CDN URL is only a fallback.
+ */
+
+// Cached entries by Steam ID: {src, personaname}; src is an avatar:// URL or null
+let entries = {};
+
+/**
+ * Load the cached entries of some friends
+ * @param {Array<string>} steamids
+ * @returns {Promise<Array<string>>} - Ids whose avatar and name should be refreshed from player summaries
+ */
+async function load(steamids) {
+    if (!steamids.length) return [];
+    try {
+        const result = await window.electronAPI.lookupAvatars(steamids);
+        Object.assign(entries, result.entries);
+        return result.stale;
+    } catch (error) {
+        window.electronAPI.log('warn', 'Failed to read the avatar cache: ' + error.message);
+        return [];
+    }
+}
+
+/**
+ * Update the cache from player summaries
+ * @param {Object} players - Player summaries by Steam ID
+ * @returns {Promise<Array<{steamid: string, personaname: string, previousName: string}>>} - Friends who renamed
+ */
+async function update(players) {
+    const list = Object.values(players).map(({ steamid, personaname, avatarfull, avatarhash }) => ({ steamid, personaname, avatarfull, avatarhash }));
+    if (!list.length) return [];
+    try {
+        const result = await window.electronAPI.refreshAvatars(list);
+        Object.assign(entries, result.entries);
+        return result.renamed;
+    } catch (error) {
+        window.electronAPI.log('warn', 'Failed to update the avatar cache: ' + error.message);
+        return [];
+    }
+}
+
+/**
+ * Get the image to show for a friend
+ * @param {string} steamid
+ * @param {string} [fallback] - Remote avatar URL used while nothing is cached
+ * @returns {string}
+ */
+function getSrc(steamid, fallback = '') {
+    return entries[steamid]?.src || fallback;
+}
+
+/**
+ * Forget the loaded entries, e.g. when switching profiles
+ */
+function clear() {
+    entries = {};
+}
+
+// Public API for AvatarCache
+const AvatarCache = {
+    load,
+    update,
+    getSrc,
+    clear
+};
+
+export default AvatarCache;
@@ -0,0 +1,159 @@
+import Preferences from './preferences.js';
+
+/**
+ * Favourites module
+ * Starred friends pinned to the top of the list, with optional per-favourite auto-join
+ */
+
+// Favourites by Steam ID: {steamid, personaname, autoJoin}
+let favourites = {};
+// Favourites already auto-joined (or joined by hand) since they last became joinable
+let handled = new Set();
+let onChangeCallback = null;
+
+/**
+ * Load favourites of the active profile
+ */
+function load() {
+    favourites = {};
+    const list = Preferences.get('favourites', []);
+    (Array.isArray(list) ? list : []).forEach(entry => {
+        if (entry && typeof entry.steamid === 'string') {
+            favourites[entry.steamid] = { steamid: entry.steamid, personaname: entry.personaname || entry.steamid, autoJoin: !!entry.autoJoin };
+        }
+    });
+    handled = new Set();
+    notifyChange();
+}
+
+function notifyChange() {
+    if (onChangeCallback) onChangeCallback();
+}
+
+function save() {
+    Preferences.set('favourites', Object.values(favourites));
+    notifyChange();
+}
+
+/**
+ * Check whether a friend is a favourite
+ * @param {string} steamid
+ * @returns {boolean}
+ */
+function isFavourite(steamid) {
+    return !!favourites[steamid];
+}
+
+/**
+ * Star or unstar a friend
+ * @param {string} steamid
+ * @param {string} personaname
+ * @returns {boolean} - Whether the friend is a favourite now
+ */
+function toggle(steamid, personaname) {
+    if (favourites[steamid]) {
+        delete favourites[steamid];
+    } else {
+        favourites[steamid] = { steamid, personaname: personaname || steamid, autoJoin: false };
+    }
+    save();
+    return !!favourites[steamid];
+}
+
+/**
+ * Update the saved name of a friend who renamed
+ * @param {string} steamid
+ * @param {string} personaname
+ */
+function rename(steamid, personaname) {
+    if (!favourites[steamid] || !personaname || favourites[steamid].personaname === personaname) return;
+    favourites[steamid].personaname = personaname;
+    save();
+}
+
+/**
+ * Check whether auto-join is enabled for a favourite
+ * @param {string} steamid
+ * @returns {boolean}
+ */
+function isAutoJoin(steamid) {
+    return !!favourites[steamid]?.autoJoin;
+}
+
+/**
+ * Enable or disable auto-join for a favourite
+ * @param {string} steamid
+ * @param {boolean} enabled
+ */
+function setAutoJoin(steamid, enabled) {
+    if (!favourites[steamid]) return;
+    favourites[steamid].autoJoin = !!enabled;
+    save();
+}
+
+/**
+ * Global kill switch for auto-join
+ * @returns {boolean}
+ */
+function isAutoJoinEnabled() {
+    return Preferences.get('auto_join_enabled', true) !== false;
+}
+
+/**
+ * Turn auto-join on or off for all favourites
+ * @param {boolean} enabled
+ */
+function setAutoJoinEnabled(enabled) {
+    Preferences.set('auto_join_enabled', !!enabled);
+    notifyChange();
+}
+
+/**
+ * Find the first auto-join favourite that became joinable and was not joined since
+ * Favourites that stop being joinable become eligible again.
+ * @param {Array} joinableFriends - Friend status objects currently in a joinable match
+ * @returns {Object|null} - Friend to join
+ */
+function findAutoJoinTarget(joinableFriends) {
+    const joinable = new Set(joinableFriends.map(friend => friend.steamid));
+    handled.forEach(steamid => {
+        if (!joinable.has(steamid)) handled.delete(steamid);
+    });
+    if (!isAutoJoinEnabled()) return null;
+    return joinableFriends.find(friend =>
+        isAutoJoin(friend.steamid) && friend.join_available && !handled.has(friend.steamid)
+    ) || null;
+}
+
+/**
+ * Mark a favourite as joined so it is not auto-joined again until it leaves and re-enters a match
+ * @param {string} steamid
+ */
+function markHandled(steamid) {
+    handled.add(steamid);
+}
+
+/**
+ * Set the handler called whenever favourites or the kill switch change
+ * @param {Function} callback
+ */
+function onChange(callback) {
+    onChangeCallback = callback;
+}
+
+// Public API for Favourites
+const Favourites = {
+    load,
+    isFavourite,
+    toggle,
+    rename,
+    isAutoJoin,
+    setAutoJoin,
+    isAutoJoinEnabled,
+    setAutoJoinEnabled,
+    findAutoJoinTarget,
+    markHandled,
+    onChange
+};
+
+export default Favourites;
@@ -0,0 +1,122 @@
+import MatchInfo from './match-info.js';
+import GameModes from './game-modes.js';
+
+/**
+ * Friend Query module
+ * Small query language and sort orders for the friends list
+ *
+ * A query is a list of space separated terms, all of which must match:
+ *   bob                 name contains "bob"
+ *   name:bob            same as above
+ *   map:dust2           map id or name contains "dust2"
+ *   mode:casual         mode id or label contains "casual"
+ *   status:"dust ii"    rich presence status contains "dust ii"
+ *   -map:office         negates any term
+ */
+
+const FIELDS = ['name', 'map', 'mode', 'status'];
+
+// Sort orders offered in the UI, in display order
+const SORT_OPTIONS = [
+    { id: 'name', label: 'Name' },
+    { id: 'map', label: 'Map' },
+    { id: 'score', label: 'Fewest rounds played' },
+    { id: 'time', label: 'Shortest time in match' },
+    { id: 'join', label: 'Join state' }
+];
+
+// Order of join states when sorting by join state; friends without a join come last
+const JOIN_STATE_ORDER = { connecting: 0, waiting: 1, blocked: 2, missing: 3, joined: 4 };
+
+/**
+ * Parse a query string into terms
+ * Unknown fields are treated as part of a name search, so "foo:bar" still finds "foo:bar"
+ * @param {string} text
+ * @returns {Array<{field: string, value: string, negate: boolean}>}
+ */
+function parseQuery(text) {
+    const terms = [];
+    const re = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    let match;
+    while ((match = re.exec(text || '')) !== null) {
+        const [raw, minus, field, quoted, bare] = match;
+        const value = (quoted !== undefined ? quoted : bare || '').toLowerCase();
+        const known = field && FIELDS.includes(field.toLowerCase());
+        if (field && !known) {
+            terms.push({ field: 'name', value: raw.replace(/^-/, '').toLowerCase(), negate: !!minus });
+            continue;
+        }
+        if (!value) continue;
+        terms.push({ field: known ? field.toLowerCase() : 'name', value, negate: !!minus });
+    }
+    return terms;
+}
+
+/**
+ * Lowercase texts a term of the given field is matched against
+ * @param {Object} friend
+ * @param {string} field
+ * @returns {Array<string>}
+ */
+function getFieldTexts(friend, field) {
+    switch (field) {
+        case 'map':
+            return [friend.game_map || '', MatchInfo.getMapName(friend.game_map)];
+        case 'mode':
+            return [friend.game_mode || '', GameModes.getModeLabel(friend.game_mode).replace(/\s+/g, '')];
+        case 'status':
+            return [friend.status || ''];
+        default:
+            return [friend.personaname || ''];
+    }
+}
+
+/**
+ * Check whether a friend matches every term of a parsed query
+ * @param {Object} friend - Friend status object
+ * @param {Array} terms - Result of parseQuery()
+ * @returns {boolean}
+ */
+function matchesQuery(friend, terms) {
+    return terms.every(term => {
+        const value = term.value.replace(/\s+/g, term.field === 'mode' ? '' : ' ');
+        const found = getFieldTexts(friend, term.field).some(text => text.toLowerCase().includes(value));
+        return term.negate ? !found : found;
+    });
+}
+
+function compareNames(a, b) {
+    return (a.personaname || '').localeCompare(b.personaname || '', undefined, { sensitivity: 'base' });
+}
+
+function getRoundsPlayed(friend) {
+    const score = MatchInfo.parseScore(friend.game_score);
+    return score ? score.ct + score.t : Infinity;
+}
+
+/**
+ * Sort friends, falling back to name order for ties
+ * @param {Array} friends
+ * @param {string} sortBy - One of SORT_OPTIONS ids
+ * @param {Object} [joinStates] - Join states by Steam ID, used for the "join" order
+ * @returns {Array} - New sorted array
+ */
+function sortFriends(friends, sortBy, joinStates = {}) {
+    const byKey = {
+        map: (a, b) => MatchInfo.getMapName(a.game_map).localeCompare(MatchInfo.getMapName(b.game_map)),
+        score: (a, b) => getRoundsPlayed(a) - getRoundsPlayed(b),
+        time: (a, b) => (b.in_match_since || 0) - (a.in_match_since || 0),
+        join: (a, b) => (JOIN_STATE_ORDER[joinStates[a.steamid]?.status] ?? 9) - (JOIN_STATE_ORDER[joinStates[b.steamid]?.status] ?? 9)
+    }[sortBy];
+    return [...friends].sort((a, b) => (byKey ? byKey(a, b) : 0) || compareNames(a, b));
+}
+
+// Public API for FriendQuery
+const FriendQuery = {
+    SORT_OPTIONS,
+    parseQuery,
+    matchesQuery,
+    sortFriends
+};
+
+export default FriendQuery;
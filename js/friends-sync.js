@@ -0,0 +1,121 @@
+import SteamAPI from './steam-api.js';
+import AvatarCache from './avatar-cache.js';
+
+/**
+ * Friends Sync module
+ * Fetches the friends list and works out which friends were added or removed since the saved list,
+ * so the saved friend IDs can be updated without restarting anything that is running
+ */
+
+// How often the saved friends list is resynced in the background
+const RESYNC_INTERVAL_MS = 15 * 60 * 1000;
+
+let timer = null;
+
+/**
+ * Compare two lists of friend IDs
+ * @param {Array<string>} previousIds
+ * @param {Array<string>} currentIds
+ * @returns {{added: Array<string>, removed: Array<string>}}
+ */
+function diffFriendIds(previousIds, currentIds) {
+    const previous = new Set(previousIds);
+    const current = new Set(currentIds);
+    return {
+        added: currentIds.filter(id => !previous.has(id)),
+        removed: previousIds.filter(id => !current.has(id))
+    };
+}
+
+/**
+ * Describe a diff for the user, e.g. "2 new friends, 1 removed"
+ * @param {{added: Array<string>, removed: Array<string>}} diff
+ * @returns {string}
+ */
+function formatSummary({ added, removed }) {
+    const parts = [];
+    if (added.length) parts.push(`${added.length} new friend${added.length === 1 ? '' : 's'}`);
+    if (removed.length) parts.push(`${removed.length} removed`);
+    return parts.length ? parts.join(', ') : 'No changes';
+}
+
+/**
+ * Fetch player summaries and update the avatar cache with them
+ * @param {Array<string>} steamids
+ * @param {string} auth - API key or token
+ * @returns {Promise<{players: Object, renamed: Array<{steamid: string, personaname: string, previousName: string}>}>}
+ * @throws {SteamApiError} - If every summary request failed
+ */
+async function refreshProfiles(steamids, auth) {
+    const { players, failedIds } = await SteamAPI.getPlayerSummaries(steamids, auth);
+    if (failedIds.length) {
+        window.electronAPI.log('warn', `Could not load summaries for ${failedIds.length} friends, keeping their saved avatars`);
+    }
+    const renamed = await AvatarCache.update(players);
+    return { players, renamed };
+}
+
+/**
+ * Fetch the current friends list and merge it with the saved one
+ * Summaries are only requested for friends without a saved avatar or with an outdated cache entry,
+ * unless refreshAvatars is set; removed friends drop out. Friends whose summary fails keep their saved avatar.
+ * @param {string} steam_id - The user's SteamID64
+ * @param {string} auth - API key or token
+ * @param {Array<string>} previousIds - Saved friend IDs
+ * @param {Object} previousAvatars - Saved avatars by Steam ID
+ * @param {{refreshAvatars?: boolean}} [options]
+ * @returns {Promise<{ids: Array<string>, avatars: Object, added: Array<string>, removed: Array<string>, refreshed: Array<string>, renamed: Array<Object>}>}
+ *   refreshed lists the ids whose summaries were requested
+ * @throws {SteamApiError} - If the friends list can not be fetched
+ */
+async function fetchFriends(steam_id, auth, previousIds, previousAvatars, options = {}) {
+    const ids = await SteamAPI.getFriendsList(steam_id, auth);
+    const { added, removed } = diffFriendIds(previousIds, ids);
+    const avatars = {};
+    ids.forEach(id => {
+        if (previousAvatars[id]) avatars[id] = previousAvatars[id];
+    });
+    const stale = new Set(await AvatarCache.load(ids));
+    const toFetch = options.refreshAvatars ? ids : ids.filter(id => !avatars[id] || stale.has(id));
+    let renamed = [];
+    if (toFetch.length) {
+        const refreshed = await refreshProfiles(toFetch, auth);
+        toFetch.forEach(id => {
+            if (refreshed.players[id]) avatars[id] = { avatarfull: refreshed.players[id].avatarfull };
+        });
+        renamed = refreshed.renamed;
+    }
+    return { ids, avatars, added, removed, refreshed: toFetch, renamed };
+}
+
+/**
+ * Run a resync periodically until stopped
+ * @param {Function} runner - Performs one background resync
+ */
+function startPeriodic(runner) {
+    stopPeriodic();
+    timer = setInterval(runner, RESYNC_INTERVAL_MS);
+}
+
+/**
+ * Stop the periodic resync
+ */
+function stopPeriodic() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+// Public API for FriendsSync
+const FriendsSync = {
+    RESYNC_INTERVAL_MS,
+    diffFriendIds,
+    formatSummary,
+    refreshProfiles,
+    fetchFriends,
+    startPeriodic,
+    stopPeriodic
+};
+
+export default FriendsSync;
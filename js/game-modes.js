@@ -0,0 +1,116 @@
+/**
+ * Game Modes module
+ * Known CS2 game modes, which of them are joinable, and the join rules of each mode
+ */
+
+/**
+ * Modes keyed by their game:mode rich presence value
+ * - joinable: whether the mode can be enabled for joining at all (matchmaking-only modes can not)
+ * - midMatchJoin: whether a running match accepts players; if not, joins wait for the next match
+ * - missingTimeoutMs: how long a join keeps waiting while the friend is not in the mode (map change, reconnect)
+ * - leavePenalty: leaving a running match of the mode counts as abandoning it
+ * - rounds: rounds a team needs to win and the most rounds a match lasts; missing for modes without rounds
+ */
+const MODES = {
+    casual: { label: 'Casual', joinable: true, midMatchJoin: true, missingTimeoutMs: 60000, rounds: { toWin: 8, max: 15 } },
+    deathmatch: { label: 'Deathmatch', joinable: true, midMatchJoin: true, missingTimeoutMs: 30000 },
+    gungameprogressive: { label: 'Arms Race', joinable: true, midMatchJoin: true, missingTimeoutMs: 30000 },
+    scrimcomp2v2: { label: 'Wingman', joinable: true, midMatchJoin: false, missingTimeoutMs: 60000, leavePenalty: true, rounds: { toWin: 9, max: 16 } },
+    competitive: { label: 'Competitive', joinable: false, leavePenalty: true, rounds: { toWin: 13, max: 24 } },
+    premier: { label: 'Premier', joinable: false, leavePenalty: true, rounds: { toWin: 13, max: 24 } }
+};
+
+const DEFAULT_JOINABLE_MODES = ['casual'];
+
+let joinableModes = new Set(DEFAULT_JOINABLE_MODES);
+
+/**
+ * Get the display label of a mode
+ * @param {string} mode - game:mode value
+ * @returns {string}
+ */
+function getModeLabel(mode) {
+    if (!mode) return '';
+    if (MODES[mode]) return MODES[mode].label;
+    return mode.charAt(0).toUpperCase() + mode.slice(1);
+}
+
+/**
+ * List modes that can be enabled for joining
+ * @returns {Array<{id: string, label: string, enabled: boolean}>}
+ */
+function getJoinableModeOptions() {
+    return Object.entries(MODES)
+        .filter(([, mode]) => mode.joinable)
+        .map(([id, mode]) => ({ id, label: mode.label, enabled: joinableModes.has(id) }));
+}
+
+/**
+ * Set which modes are joinable. Unknown or matchmaking-only modes are ignored.
+ * @param {Array<string>} modes
+ */
+function setJoinableModes(modes) {
+    const valid = (Array.isArray(modes) ? modes : []).filter(id => MODES[id]?.joinable);
+    joinableModes = new Set(valid.length ? valid : DEFAULT_JOINABLE_MODES);
+}
+
+/**
+ * Get the modes currently enabled for joining
+ * @returns {Array<string>}
+ */
+function getJoinableModes() {
+    return [...joinableModes];
+}
+
+/**
+ * Check whether friends in a mode can be joined
+ * @param {string} mode - game:mode value
+ * @returns {boolean}
+ */
+function isJoinable(mode) {
+    return joinableModes.has(mode);
+}
+
+/**
+ * Get the join rules of a mode
+ * @param {string} mode - game:mode value
+ * @returns {{midMatchJoin: boolean, missingTimeoutMs: number}}
+ */
+function getModeRules(mode) {
+    const { midMatchJoin, missingTimeoutMs } = MODES[mode] || MODES.casual;
+    return { midMatchJoin, missingTimeoutMs };
+}
+
+/**
+ * Get the round limits of a mode
+ * @param {string} mode - game:mode value
+ * @returns {{toWin: number, max: number}|null} - null for unknown modes and modes without rounds
+ */
+function getRoundRules(mode) {
+    return MODES[mode]?.rounds || null;
+}
+
+/**
+ * Check whether a running match of a mode can be left without abandoning it
+ * Unknown modes are treated as unsafe to leave
+ * @param {string} mode - game:mode value
+ * @returns {boolean}
+ */
+function canLeaveSafely(mode) {
+    return !!MODES[mode] && !MODES[mode].leavePenalty;
+}
+
+// Public API for GameModes
+const GameModes = {
+    DEFAULT_JOINABLE_MODES,
+    getModeLabel,
+    getJoinableModeOptions,
+    setJoinableModes,
+    getJoinableModes,
+    isJoinable,
+    getModeRules,
+    getRoundRules,
+    canLeaveSafely
+};
+
+export default GameModes;
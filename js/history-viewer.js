@@ -0,0 +1,198 @@
+import JoinHistory from './join-history.js';
+import MatchInfo from './match-info.js';
+
+/**
+ * History Viewer module
+ * Shows join success statistics per friend and per map, recent attempts, and exports the history
+ */
+
+// Utility: Get element by ID
+const $id = (id) => document.getElementById(id);
+
+// Number of most recent attempts listed below the statistics
+const MAX_RECENT_ATTEMPTS = 50;
+
+const OUTCOME_LABELS = {
+    joined: 'Joined',
+    cancelled: 'Cancelled',
+    'timed-out': 'Timed out'
+};
+
+/**
+ * Format a duration for display, e.g. "42s" or "3m 05s"
+ * @param {number|null} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    if (ms === null || ms === undefined) return '—';
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * Format a success rate for display
+ * @param {number|null} rate - Between 0 and 1
+ * @returns {string}
+ */
+function formatRate(rate) {
+    return rate === null ? '—' : `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Create an element with text content
+ * @param {string} tag
+ * @param {string} text
+ * @param {string} [className]
+ * @returns {HTMLElement}
+ */
+function createCell(tag, text, className) {
+    const cell = document.createElement(tag);
+    cell.textContent = text;
+    if (className) cell.className = className;
+    return cell;
+}
+
+/**
+ * Render a statistics table
+ * @param {HTMLTableElement} table
+ * @param {string} title - Header of the first column
+ * @param {Array<Object>} rows - Grouped statistics from JoinHistory.computeStats
+ */
+function renderStatsTable(table, title, rows) {
+    const head = document.createElement('tr');
+    [title, 'Attempts', 'Success', 'Median time to join'].forEach(label => head.appendChild(createCell('th', label)));
+    const body = rows.map(row => {
+        const tr = document.createElement('tr');
+        tr.append(
+            createCell('td', row.label),
+            createCell('td', String(row.attempts)),
+            createCell('td', formatRate(row.successRate)),
+            createCell('td', formatDuration(row.medianTimeToJoinMs))
+        );
+        return tr;
+    });
+    table.replaceChildren(head, ...body);
+}
+
+/**
+ * Render the most recent attempts, newest first
+ * @param {Array<Object>} records - Stored records, oldest first
+ */
+function renderRecent(records) {
+    const list = $id('join-history-recent');
+    if (!list) return;
+    const rows = records.slice(-MAX_RECENT_ATTEMPTS).reverse().map(record => {
+        const row = document.createElement('div');
+        row.className = 'join-history-entry';
+        const waited = `waiting ${formatDuration(record.waitingMs)}, connecting ${formatDuration(record.connectingMs)}, missing ${formatDuration(record.missingMs)}`;
+        row.append(
+            createCell('span', new Date(record.startedAt).toLocaleString(), 'join-history-time'),
+            createCell('span', record.personaname || record.steamid, 'join-history-name'),
+            createCell('span', record.map ? MatchInfo.getMapName(record.map) : '—', 'join-history-map'),
+            createCell('span', OUTCOME_LABELS[record.outcome] || record.outcome, 'join-history-outcome outcome-' + record.outcome),
+            createCell('span', waited, 'join-history-phases')
+        );
+        return row;
+    });
+    list.replaceChildren(...rows);
+}
+
+/**
+ * Render the statistics of the given records
+ * @param {Array<Object>} records
+ */
+function render(records) {
+    const stats = JoinHistory.computeStats(records, MatchInfo.getMapName);
+    const summary = $id('join-history-summary');
+    if (summary) {
+        const { overall } = stats;
+        summary.textContent = overall.attempts
+            ? `${overall.attempts} attempts · ${formatRate(overall.successRate)} joined · ${overall.timedOut} timed out · ${overall.cancelled} cancelled · median time to join ${formatDuration(overall.medianTimeToJoinMs)}`
+            : 'No join attempts recorded yet.';
+    }
+    const friendsTable = $id('join-history-friends');
+    if (friendsTable) renderStatsTable(friendsTable, 'Friend', stats.byFriend);
+    const mapsTable = $id('join-history-maps');
+    if (mapsTable) renderStatsTable(mapsTable, 'Map', stats.byMap);
+    renderRecent(records);
+}
+
+/**
+ * Show a short message under the statistics
+ * @param {string} text
+ */
+function setNote(text) {
+    const note = $id('join-history-note');
+    if (note) note.textContent = text;
+}
+
+/**
+ * Export the history through a save dialog
+ * @param {string} format - "csv" or "json"
+ */
+async function exportHistory(format) {
+    try {
+        const result = await window.electronAPI.exportJoinHistory(format);
+        if (result && result.ok) setNote(`Exported to ${result.path}`);
+        else if (result && result.reason !== 'cancelled') setNote('Export failed.');
+    } catch (error) {
+        window.electronAPI.log('error', `Join history export failed: ${error.message}`);
+        setNote('Export failed.');
+    }
+}
+
+/**
+ * Open the history panel
+ */
+async function open() {
+    const panel = $id('join-history');
+    if (!panel) return;
+    panel.style.display = 'flex';
+    setNote('');
+    let records = [];
+    try {
+        records = await window.electronAPI.getJoinHistory() || [];
+    } catch (error) {
+        console.error("Failed to load join history:", error);
+    }
+    render(records);
+}
+
+/**
+ * Close the history panel
+ */
+function close() {
+    const panel = $id('join-history');
+    if (panel) panel.style.display = 'none';
+}
+
+/**
+ * Attach the history viewer event listeners
+ */
+function init() {
+    const openLink = $id('join-history-link');
+    if (openLink) openLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        open();
+    });
+    const closeBtn = $id('join-history-close');
+    if (closeBtn) closeBtn.addEventListener('click', close);
+    const csvBtn = $id('join-history-export-csv');
+    if (csvBtn) csvBtn.addEventListener('click', () => exportHistory('csv'));
+    const jsonBtn = $id('join-history-export-json');
+    if (jsonBtn) jsonBtn.addEventListener('click', () => exportHistory('json'));
+    document.addEventListener('keydown', (e) => {
+        const panel = $id('join-history');
+        if (e.key === 'Escape' && panel && panel.style.display !== 'none') close();
+    });
+}
+
+// Public API for HistoryViewer
+const HistoryViewer = {
+    init,
+    open,
+    close
+};
+
+export default HistoryViewer;
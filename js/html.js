@@ -0,0 +1,77 @@
+// =====================
+// HTML templating
+// =====================
+
+/**
+ * Escaping template helper for everything the UI writes with innerHTML.
+ * Values interpolated into html`` are escaped, so Steam strings such as persona names
+ * and rich presence can never add markup. Nested html`` results and arrays of them are kept as markup.
+ */
+
+const ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
+};
+
+/**
+ * Markup produced by html``; only instances of this class are inserted without escaping
+ */
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+    return String(value).replace(/[&<>"'`]/g, ch => ENTITIES[ch]);
+}
+
+/**
+ * Convert an interpolated value to markup
+ * null, undefined and false render nothing, so `${condition && html`...`}` works
+ * @param {*} value
+ * @returns {string}
+ */
+export function toMarkup(value) {
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(toMarkup).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
+
+/**
+ * Tag for HTML templates: html`<b>${name}</b>`
+ * @param {TemplateStringsArray} strings
+ * @param {...*} values
+ * @returns {SafeHtml}
+ */
+export function html(strings, ...values) {
+    let markup = strings[0];
+    values.forEach((value, i) => {
+        markup += toMarkup(value) + strings[i + 1];
+    });
+    return new SafeHtml(markup);
+}
+
+/**
+ * Replace the content of an element with a template
+ * Plain strings are shown as text, never parsed as markup
+ * @param {HTMLElement} el
+ * @param {SafeHtml|string} template
+ */
+export function setHtml(el, template) {
+    el.innerHTML = toMarkup(template);
+}
@@ -0,0 +1,190 @@
+/**
+ * Join History module
+ * Records how each join attempt went and computes success statistics from the stored history
+ */
+
+// Phases whose time is tracked per attempt; any other status is not counted
+const PHASES = ['waiting', 'connecting', 'missing'];
+
+// Attempts in progress, keyed by the caller's attempt key
+const attempts = {};
+
+/**
+ * Start recording an attempt. A previous attempt under the same key is recorded as cancelled.
+ * @param {string} key - Attempt key, unique per running join
+ * @param {string} friend_id - Steam ID of the target
+ * @param {string} source - "single" or "queue"
+ * @param {{personaname?: string, map?: string, mode?: string}} [info]
+ */
+function begin(key, friend_id, source, info = {}) {
+    finish(key, 'cancelled');
+    const now = Date.now();
+    attempts[key] = {
+        steamid: friend_id,
+        source,
+        personaname: info.personaname || '',
+        map: info.map || '',
+        mode: info.mode || '',
+        startedAt: now,
+        phase: 'waiting',
+        phaseSince: now,
+        durations: { waiting: 0, connecting: 0, missing: 0 }
+    };
+}
+
+/**
+ * Check whether an attempt is being recorded
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isActive(key) {
+    return !!attempts[key];
+}
+
+/**
+ * Keep the target's name, map and mode current while the attempt runs
+ * @param {string} key
+ * @param {Object|null} friendStatus - Friend status from the poller
+ */
+function update(key, friendStatus) {
+    const attempt = attempts[key];
+    if (!attempt || !friendStatus) return;
+    if (friendStatus.personaname) attempt.personaname = friendStatus.personaname;
+    if (friendStatus.game_map) attempt.map = friendStatus.game_map;
+    if (friendStatus.game_mode) attempt.mode = friendStatus.game_mode;
+}
+
+function closePhase(attempt, now) {
+    if (PHASES.includes(attempt.phase)) {
+        attempt.durations[attempt.phase] += now - attempt.phaseSince;
+    }
+    attempt.phaseSince = now;
+}
+
+/**
+ * Move an attempt to another phase
+ * @param {string} key
+ * @param {string} phase - Join status, e.g. "waiting", "connecting" or "missing"
+ */
+function setPhase(key, phase) {
+    const attempt = attempts[key];
+    if (!attempt || attempt.phase === phase) return;
+    closePhase(attempt, Date.now());
+    attempt.phase = phase;
+}
+
+/**
+ * Finish an attempt and store it in the history. Does nothing if the attempt already finished.
+ * @param {string} key
+ * @param {string} outcome - "joined", "cancelled" or "timed-out"
+ */
+function finish(key, outcome) {
+    const attempt = attempts[key];
+    if (!attempt) return;
+    delete attempts[key];
+    const now = Date.now();
+    closePhase(attempt, now);
+    const record = {
+        steamid: attempt.steamid,
+        personaname: attempt.personaname,
+        map: attempt.map,
+        mode: attempt.mode,
+        source: attempt.source,
+        startedAt: new Date(attempt.startedAt).toISOString(),
+        endedAt: new Date(now).toISOString(),
+        outcome,
+        waitingMs: attempt.durations.waiting,
+        connectingMs: attempt.durations.connecting,
+        missingMs: attempt.durations.missing,
+        timeToJoinMs: outcome === 'joined' ? now - attempt.startedAt : null
+    };
+    window.electronAPI.addJoinHistory(record).catch(error => {
+        window.electronAPI.log('error', `Failed to store join history record: ${error.message}`);
+    });
+}
+
+/**
+ * Finish every attempt in progress
+ * @param {string} outcome
+ */
+function finishAll(outcome) {
+    Object.keys(attempts).forEach(key => finish(key, outcome));
+}
+
+/**
+ * Get the median of a list of numbers
+ * @param {Array<number>} values
+ * @returns {number|null}
+ */
+function median(values) {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Summarize a group of records
+ * @param {Array<Object>} records
+ * @returns {{attempts: number, joined: number, timedOut: number, cancelled: number, successRate: number|null, medianTimeToJoinMs: number|null}}
+ */
+function summarize(records) {
+    const joined = records.filter(r => r.outcome === 'joined');
+    const timedOut = records.filter(r => r.outcome === 'timed-out').length;
+    return {
+        attempts: records.length,
+        joined: joined.length,
+        timedOut,
+        cancelled: records.length - joined.length - timedOut,
+        successRate: records.length ? joined.length / records.length : null,
+        medianTimeToJoinMs: median(joined.map(r => r.timeToJoinMs).filter(Number.isFinite))
+    };
+}
+
+/**
+ * Group records by a key and summarize each group, most attempted first
+ * @param {Array<Object>} records
+ * @param {Function} getKey - Returns the group key of a record, or '' to skip it
+ * @param {Function} getLabel - Returns the display label of a group from its newest record
+ * @returns {Array<Object>}
+ */
+function groupStats(records, getKey, getLabel) {
+    const groups = new Map();
+    records.forEach(record => {
+        const key = getKey(record);
+        if (!key) return;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(record);
+    });
+    return [...groups.entries()]
+        .map(([key, group]) => ({ key, label: getLabel(group[group.length - 1]), ...summarize(group) }))
+        .sort((a, b) => b.attempts - a.attempts || a.label.localeCompare(b.label));
+}
+
+/**
+ * Compute overall, per-friend and per-map statistics
+ * @param {Array<Object>} records - Stored records, oldest first
+ * @param {Function} getMapName - Maps a game:map value to its display name
+ * @returns {{overall: Object, byFriend: Array<Object>, byMap: Array<Object>}}
+ */
+function computeStats(records, getMapName) {
+    return {
+        overall: summarize(records),
+        byFriend: groupStats(records, r => r.steamid, r => r.personaname || r.steamid),
+        byMap: groupStats(records, r => r.map, r => getMapName(r.map))
+    };
+}
+
+// Public API for JoinHistory
+const JoinHistory = {
+    begin,
+    isActive,
+    update,
+    setPhase,
+    finish,
+    finishAll,
+    median,
+    computeStats
+};
+
+export default JoinHistory;
@@ -1,5 +1,13 @@
 import SteamAPI from './steam-api.js';
 import UIManager from './ui-manager.js';
+import StatusPoller from './status-poller.js';
+import SteamErrors from './steam-errors.js';
+import GameModes from './game-modes.js';
+import MatchInfo from './match-info.js';
+import Notifier from './notifier.js';
+import JoinHistory from './join-history.js';
+import JoinSettings from './join-settings.js';
+import LaunchGuard from './launch-guard.js';
 
 /**
  * Join Manager module
@@ -9,20 +17,126 @@ import UIManager from './ui-manager.js';
 // State tracking for join attempts
 const joinStates = {};
 
+// Shown when the link service refuses a friend's connect string
+const LAUNCH_REJECTED_REASON = "The friend's server link could not be opened.";
+
+// Priority multi-target join queue
+const QUEUE_POLLER_KEY = 'join-queue';
+const joinQueue = {
+    entries: [],
+    active: false,
+    current: null,
+    status: 'idle',
+    blockedReason: null,
+    fallbackMs: 2 * 60 * 1000
+};
+
+// Called whenever a join or the queue starts or stops
+let onChangeCallback = null;
+
 /**
- * Start the process of joining a friend's game
- * @param {string} friend_id - Steam ID of the friend to join
+ * Get the status poller subscription key for a join attempt
+ * @param {string} friend_id - Steam ID of the friend
+ * @returns {string}
  */
-async function startJoin(friend_id) {
+function getPollerKey(friend_id) {
+    return 'join-' + friend_id;
+}
+
+/**
+ * Get the join history key of a queue attempt, kept apart from single joins to the same friend
+ * @param {string} friend_id - Steam ID of the friend
+ * @returns {string}
+ */
+function getQueueHistoryKey(friend_id) {
+    return 'queue-' + friend_id;
+}
+
+/**
+ * Tell the change handler that a join or the queue started or stopped
+ */
+function notifyJoinsChanged() {
+    if (onChangeCallback) onChangeCallback();
+}
+
+/**
+ * Set the status of a single join and track the time spent in it
+ * @param {string} friend_id - Steam ID of the friend
+ * @param {string} status
+ */
+function setJoinStatus(friend_id, status) {
+    joinStates[friend_id].status = status;
+    // Time held back by the launch guard counts as waiting
+    JoinHistory.setPhase(friend_id, status === 'blocked' ? 'waiting' : status);
+}
+
+/**
+ * Read the user's SteamID and API key or token from the inputs
+ * @returns {{steam_id: string, auth: string}}
+ */
+function getCredentials() {
     const steam_id = document.getElementById('steam_id').value.trim();
     const auth_raw = document.getElementById('auth').value.trim();
     const auth = SteamAPI.extractApiKeyOrToken ? SteamAPI.extractApiKeyOrToken(auth_raw) : auth_raw;
-    const interval_ms = 500;
+    return { steam_id, auth };
+}
+
+/**
+ * Check whether the friend's match accepts players right now under its mode's rules
+ * Modes without mid-match joins only accept players before the first round is played
+ * @param {Object} friendStatus - Friend status from the poller
+ * @returns {boolean}
+ */
+function acceptsJoinNow(friendStatus) {
+    if (GameModes.getModeRules(friendStatus.game_mode).midMatchJoin) return true;
+    const score = MatchInfo.parseScore(friendStatus.game_score);
+    return !score || score.ct + score.t === 0;
+}
+
+/**
+ * Launch the friend's server via the main-process link service
+ * @param {string} friend_id - Steam ID of the friend
+ * @param {string} connect - Connect string from the friend's rich presence
+ * @returns {Promise<boolean>} - Whether the link service accepted the launch
+ */
+async function launchConnect(friend_id, connect) {
+    const url = `steam://rungame/730/${friend_id}/${connect}`;
+    try {
+        const result = await window.electronAPI.openExternal(url);
+        if (result && !result.ok) {
+            window.electronAPI.log('warn', `Launch of ${url} rejected: ${result.reason}`);
+            return false;
+        }
+        return true;
+    } catch (error) {
+        window.electronAPI.log('error', `Launch of ${url} failed: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Start the process of joining a friend's game
+ * @param {string} friend_id - Steam ID of the friend to join
+ */
+async function startJoin(friend_id) {
+    // A second loop would keep its own poller waiters next to the running one
+    if (joinStates[friend_id] && !joinStates[friend_id].cancelled) return;
+    const { steam_id, auth } = getCredentials();
+    // Single joins and the priority queue never run side by side
+    if (joinQueue.active) stopQueue();
     joinStates[friend_id] = {
         status: 'waiting',
         cancelled: false,
-        interval: null
+        interval: null,
+        blockedReason: null,
+        // The match the user agreed to leave, {reason, server}; a later match needs its own confirmation
+        confirmedBlock: null,
+        blockedServer: null,
+        startedAt: Date.now(),
+        connectAttempts: 0,
+        limits: JoinSettings.getJoinLimits()
     };
+    notifyJoinsChanged();
     UIManager.updateJoinButton(friend_id, 'waiting');
     UIManager.updateDot(friend_id, 'waiting');
     // Periodically update UI to reflect join state
@@ -30,83 +144,250 @@ async function startJoin(friend_id) {
         const status = joinStates[friend_id]?.status || 'cancelled';
         UIManager.updateDot(friend_id, status);
         UIManager.updateJoinButton(friend_id, status);
+        UIManager.updateJoinReason(friend_id, joinStates[friend_id]?.blockedReason || null);
         if (status === 'joined' || status === 'cancelled') {
             clearInterval(joinStates[friend_id].interval);
         }
     }, 1000);
-    joinLoop(friend_id, steam_id, auth, interval_ms);
+    window.electronAPI.log('info', `Join started for ${friend_id}`);
+    JoinHistory.begin(friend_id, friend_id, 'single');
+    StatusPoller.setAuth(auth);
+    StatusPoller.subscribe(getPollerKey(friend_id), [friend_id, steam_id], null, JoinSettings.get().pollIntervalMs);
+    joinLoop(friend_id, steam_id);
+}
+
+/**
+ * Stop a join that ran into one of its limits or can not launch
+ * @param {string} friend_id - Steam ID of the friend
+ * @param {string} personaname - Friend's name for the notification
+ * @param {string} reason - Why the join gave up, shown in the log and the notification
+ * @param {string} [outcome] - Join history outcome
+ */
+function giveUp(friend_id, personaname, reason, outcome = 'timed-out') {
+    window.electronAPI.log('warn', `Join for ${friend_id} cancelled: ${reason}`);
+    Notifier.joinCancelled(friend_id, personaname, reason);
+    JoinHistory.finish(friend_id, outcome);
+    cancelJoin(friend_id);
+}
+
+/**
+ * Check whether a running join has been going for longer than its give-up limit
+ * @param {Object} state - Join state of the friend
+ * @returns {boolean}
+ */
+function isPastGiveUpTime(state) {
+    return !!state.limits?.giveUpAfterMs && Date.now() - state.startedAt > state.limits.giveUpAfterMs;
+}
+
+/**
+ * Override the limits of a running join. Applies to the next poll of its loop.
+ * @param {string} friend_id - Steam ID of the friend
+ * @param {{giveUpAfterMs?: number|null, maxConnectAttempts?: number|null}} limits - null or '' removes a limit
+ * @returns {Object} - Error messages by limit name; empty if the limits were applied
+ */
+function setJoinLimits(friend_id, limits) {
+    const state = joinStates[friend_id];
+    if (!state || state.cancelled) return {};
+    const errors = {};
+    const next = { ...state.limits };
+    JoinSettings.JOIN_LIMIT_FIELDS.forEach(name => {
+        if (!limits || !(name in limits)) return;
+        const { value, error } = JoinSettings.validateValue(name, limits[name]);
+        if (error) errors[name] = error;
+        else next[name] = value;
+    });
+    if (Object.keys(errors).length) return errors;
+    state.limits = next;
+    window.electronAPI.log('info', `Join limits for ${friend_id} set to ${JSON.stringify(next)}`);
+    return {};
+}
+
+/**
+ * Re-subscribe running joins and the queue with the current poll interval
+ */
+function updatePollIntervals() {
+    const { steam_id } = getCredentials();
+    const interval_ms = JoinSettings.get().pollIntervalMs;
+    Object.keys(joinStates).forEach(fid => {
+        if (StatusPoller.isSubscribed(getPollerKey(fid))) {
+            StatusPoller.subscribe(getPollerKey(fid), [fid, steam_id], null, interval_ms);
+        }
+    });
+    updateQueueSubscription();
 }
 
 /**
  * The main loop for joining a friend's game
+ * Consumes status snapshots from the shared poller instead of issuing its own requests
  * @param {string} friend_id - Steam ID of the friend to join
  * @param {string} user_steam_id - Steam ID of the user
- * @param {string} auth - API key or token for Steam API
- * @param {number} interval_ms - Interval in milliseconds for the loop
  */
-async function joinLoop(friend_id, user_steam_id, auth, interval_ms) {
-    let interval = Math.max(100, interval_ms);
+async function joinLoop(friend_id, user_steam_id) {
+    const pollerKey = getPollerKey(friend_id);
+    // cancelJoin replaces the state object, so once the join is cancelled or restarted it no longer matches;
+    // a join restarted right after a cancel belongs to its own loop
+    const ownState = joinStates[friend_id];
     let missingSince = null;
     let lastKnownPersona = null;
     let lastKnownAvatar = null;
+    let lastKnownMode = null;
+    let waitingForNextMatch = false;
     while (true) {
-        if (joinStates[friend_id]?.cancelled) break;
-        // Try to get connect info for the friend
-        const current_connect = await SteamAPI.getFriendConnectInfo(friend_id, auth);
+        if (joinStates[friend_id] !== ownState) break;
+        const snapshot = await StatusPoller.waitForSnapshot(pollerKey);
+        if (!snapshot || joinStates[friend_id] !== ownState) break;
+        // Time spent paused (expired token) does not count towards the join's timeouts
+        if (snapshot.pausedMs) {
+            if (missingSince) missingSince += snapshot.pausedMs;
+            joinStates[friend_id].startedAt += snapshot.pausedMs;
+        }
+        if (snapshot.error) {
+            // Rejected credentials will not start working by polling again
+            if (snapshot.error instanceof SteamErrors.SteamAuthError) {
+                window.electronAPI.log('error', `Join for ${friend_id} stopped: ${snapshot.error.message}`);
+                UIManager.showError(snapshot.error);
+                cancelJoin(friend_id);
+                break;
+            }
+            // Any other failed poll tells nothing about the friend — wait for the next one
+            continue;
+        }
+        if (snapshot.failedIds.includes(friend_id)) continue;
+        const friendStatus = snapshot.statuses[friend_id] || null;
+        JoinHistory.update(friend_id, friendStatus);
+        if (isPastGiveUpTime(joinStates[friend_id])) {
+            const minutes = Math.round(joinStates[friend_id].limits.giveUpAfterMs / 60000);
+            giveUp(friend_id, friendStatus?.personaname || lastKnownPersona || friend_id, `Still not joined after ${minutes} min.`);
+            break;
+        }
+        if (friendStatus?.can_join) lastKnownMode = friendStatus.game_mode;
+        const missingTimeoutMs = JoinSettings.getMissingTimeoutMs(lastKnownMode);
+        const current_connect = friendStatus && friendStatus.can_join ? friendStatus.connect : null;
         if (!current_connect) {
-            // Check if the friend is in casual (via getFriendsStatuses)
-            const statuses = await SteamAPI.getFriendsStatuses([friend_id], auth);
-            const friendStatus = statuses && statuses.length ? statuses[0] : null;
             if (!friendStatus || !friendStatus.can_join) {
-                // Friend is not in casual — mark as "missing"
+                // Friend is not in a joinable mode — mark as "missing"
                 if (!missingSince) {
                     missingSince = Date.now();
+                    window.electronAPI.log('info', `Join target ${friend_id} is no longer joinable, waiting for it to return`);
                     // Save name and avatar for display
                     lastKnownPersona = friendStatus?.personaname || joinStates[friend_id]?.personaname || 'Unknown';
                     lastKnownAvatar = friendStatus?.avatar || joinStates[friend_id]?.avatar || '';
                 }
-                joinStates[friend_id].status = "missing";
+                setJoinStatus(friend_id, "missing");
                 joinStates[friend_id].personaname = lastKnownPersona;
                 joinStates[friend_id].avatar = lastKnownAvatar;
-                // If more than a minute has passed — cancel the connection attempt and remove from the list
-                if (Date.now() - missingSince > 60000) {
-                    cancelJoin(friend_id);
+                // If the missing timeout has passed — cancel the connection attempt and remove from the list
+                if (Date.now() - missingSince > missingTimeoutMs) {
+                    giveUp(friend_id, lastKnownPersona, `Not in a joinable match for ${Math.round(missingTimeoutMs / 1000)} seconds.`);
                     break;
                 }
             } else {
-                // Friend is back in casual — reset the timer
+                // Friend is back in a joinable mode — reset the timer
                 missingSince = null;
                 lastKnownPersona = friendStatus.personaname;
                 lastKnownAvatar = friendStatus.avatar;
-                joinStates[friend_id].status = "waiting";
+                setJoinStatus(friend_id, "waiting");
+            }
+            continue;
+        }
+        missingSince = null;
+        if (!acceptsJoinNow(friendStatus)) {
+            if (!waitingForNextMatch) {
+                window.electronAPI.log('info', `Join target ${friend_id} is mid-match in ${GameModes.getModeLabel(friendStatus.game_mode)}, waiting for the next match`);
             }
-            await new Promise(r => setTimeout(r, interval));
+            waitingForNextMatch = true;
+            setJoinStatus(friend_id, "waiting");
             continue;
         }
-        joinStates[friend_id].status = "connecting";
+        waitingForNextMatch = false;
+        // Never launch without knowing where the user is right now
+        if (snapshot.failedIds.includes(user_steam_id) || !snapshot.statuses[user_steam_id]) continue;
+        const ownServer = snapshot.statuses[user_steam_id]?.game_server_steam_id || null;
+        const block = LaunchGuard.check(snapshot.statuses[user_steam_id], friendStatus);
+        if (block && block.code === 'same-server') {
+            window.electronAPI.log('info', `Not launching ${friend_id}: user is already on server ${friendStatus.game_server_steam_id}`);
+            await finishJoined(friend_id, friendStatus.personaname || friend_id);
+            break;
+        }
+        const confirmed = joinStates[friend_id].confirmedBlock;
+        if (block && !(confirmed && confirmed.reason === block.reason && confirmed.server === ownServer)) {
+            if (joinStates[friend_id].blockedReason !== block.reason) {
+                window.electronAPI.log('info', `Join for ${friend_id} held back: ${block.reason}`);
+            }
+            joinStates[friend_id].blockedReason = block.reason;
+            joinStates[friend_id].blockedServer = ownServer;
+            setJoinStatus(friend_id, "blocked");
+            continue;
+        }
+        // Once the user is out of the confirmed match, the next one is held back again
+        if (!block) joinStates[friend_id].confirmedBlock = null;
+        joinStates[friend_id].blockedReason = null;
+        setJoinStatus(friend_id, "connecting");
+        joinStates[friend_id].connectAttempts++;
         // Attempt to join the friend's game via Steam protocol
-        const url = `steam://rungame/730/${friend_id}/${current_connect}`;
-        window.open(url, "_self");
-        await new Promise(r => setTimeout(r, interval));
-        // Check if user has joined the same server as the friend
-        const user_server = await SteamAPI.getUserGameServerSteamId(user_steam_id, auth);
-        const friend_server = await SteamAPI.getUserGameServerSteamId(friend_id, auth);
+        const launched = await launchConnect(friend_id, current_connect);
+        if (joinStates[friend_id] !== ownState) break;
+        if (!launched) {
+            // Retrying the same connect string would only be rejected again
+            giveUp(friend_id, friendStatus.personaname || friend_id, LAUNCH_REJECTED_REASON, 'cancelled');
+            break;
+        }
+        // Check on the next snapshot if user has joined the same server as the friend
+        const after = await StatusPoller.waitForSnapshot(pollerKey);
+        if (!after || joinStates[friend_id] !== ownState) break;
+        const user_server = after.statuses[user_steam_id]?.game_server_steam_id;
+        const friend_server = after.statuses[friend_id]?.game_server_steam_id;
         if (user_server && friend_server && user_server === friend_server) {
-            joinStates[friend_id].status = "joined";
-            // Stop all join loops except the current one
-            Object.keys(joinStates).forEach(fid => {
-                if (fid !== friend_id) cancelJoin(fid);
-            });
-            // Keep the green status for 1.5 seconds before resetting
-            await new Promise(r => setTimeout(r, 1500));
-            cancelJoin(friend_id);
+            window.electronAPI.log('info', `Joined ${friend_id} on server ${friend_server}`);
+            await finishJoined(friend_id, after.statuses[friend_id].personaname || friend_id);
+            break;
+        }
+        const { connectAttempts, limits } = joinStates[friend_id];
+        if (limits?.maxConnectAttempts && connectAttempts >= limits.maxConnectAttempts) {
+            giveUp(friend_id, friendStatus.personaname || friend_id, `Could not join after ${connectAttempts} connect attempts.`);
             break;
         }
-        await new Promise(r => setTimeout(r, interval));
     }
-    if (joinStates[friend_id]?.status !== "joined") {
+    if (joinStates[friend_id] !== ownState) return;
+    StatusPoller.unsubscribe(pollerKey);
+    JoinHistory.finish(friend_id, 'cancelled');
+    if (joinStates[friend_id] && joinStates[friend_id].status !== "joined") {
         joinStates[friend_id].status = "cancelled";
     }
+    notifyJoinsChanged();
+}
+
+/**
+ * Mark a join as successful, stop every other join and reset the card after the joined hold
+ * @param {string} friend_id - Steam ID of the friend
+ * @param {string} personaname - Friend's name for the notification
+ */
+async function finishJoined(friend_id, personaname) {
+    joinStates[friend_id].status = "joined";
+    joinStates[friend_id].blockedReason = null;
+    JoinHistory.finish(friend_id, 'joined');
+    notifyJoinsChanged();
+    Notifier.joinSucceeded(friend_id, personaname);
+    StatusPoller.unsubscribe(getPollerKey(friend_id));
+    // Stop all join loops except the current one
+    Object.keys(joinStates).forEach(fid => {
+        if (fid !== friend_id) cancelJoin(fid);
+    });
+    // Keep the green status for a moment before resetting
+    await new Promise(r => setTimeout(r, JoinSettings.get().joinedHoldMs));
+    cancelJoin(friend_id);
+}
+
+/**
+ * Let a join that is held back by the launch guard go ahead and leave the user's current match
+ * Only the match shown when the user confirmed is covered
+ * @param {string} friend_id - Steam ID of the friend
+ */
+function confirmLaunch(friend_id) {
+    const state = joinStates[friend_id];
+    if (!state || state.cancelled || !state.blockedReason) return;
+    state.confirmedBlock = { reason: state.blockedReason, server: state.blockedServer };
+    window.electronAPI.log('info', `User confirmed leaving their match to join ${friend_id}`);
 }
 
 /**
@@ -114,16 +395,24 @@ async function joinLoop(friend_id, user_steam_id, auth, interval_ms) {
  * @param {string} friend_id - Steam ID of the friend whose join attempt to cancel
  */
 function cancelJoin(friend_id) {
+    if (joinStates[friend_id] && !joinStates[friend_id].cancelled) {
+        window.electronAPI.log('info', `Join for ${friend_id} stopped`);
+    }
     if (joinStates[friend_id]?.interval) {
         clearInterval(joinStates[friend_id].interval);
     }
+    StatusPoller.unsubscribe(getPollerKey(friend_id));
+    JoinHistory.finish(friend_id, 'cancelled');
     joinStates[friend_id] = {
         ...joinStates[friend_id],
         status: 'cancelled',
-        cancelled: true
+        cancelled: true,
+        blockedReason: null
     };
     UIManager.updateDot(friend_id, 'cancelled');
     UIManager.updateJoinButton(friend_id, 'cancelled');
+    UIManager.updateJoinReason(friend_id, null);
+    notifyJoinsChanged();
     // Reset button and dot after a short time
     setTimeout(() => {
         UIManager.updateDot(friend_id, 'cancelled');
@@ -131,6 +420,337 @@ function cancelJoin(friend_id) {
     }, 200);
 }
 
+/**
+ * Find a queue entry by friend Steam ID
+ * @param {string} friend_id - Steam ID of the friend
+ * @returns {Object|undefined}
+ */
+function findQueueEntry(friend_id) {
+    return joinQueue.entries.find(entry => entry.steamid === friend_id);
+}
+
+/**
+ * Re-render the join queue panel
+ */
+function notifyQueueChanged() {
+    UIManager.renderJoinQueue(getQueue());
+}
+
+/**
+ * Keep the queue poller subscription in sync with the queued targets
+ */
+function updateQueueSubscription() {
+    if (!joinQueue.active) return;
+    const { steam_id } = getCredentials();
+    StatusPoller.subscribe(
+        QUEUE_POLLER_KEY,
+        [...joinQueue.entries.map(entry => entry.steamid), steam_id],
+        null,
+        JoinSettings.get().pollIntervalMs
+    );
+}
+
+/**
+ * Check whether a friend is in the join queue
+ * @param {string} friend_id - Steam ID of the friend
+ * @returns {boolean}
+ */
+function isQueued(friend_id) {
+    return !!findQueueEntry(friend_id);
+}
+
+/**
+ * Add a friend to the end of the join queue
+ * @param {string} friend_id - Steam ID of the friend
+ * @param {string} [personaname] - Display name for the queue panel
+ */
+function addToQueue(friend_id, personaname = '') {
+    if (isQueued(friend_id)) return;
+    joinQueue.entries.push({
+        steamid: friend_id,
+        personaname: personaname || friend_id,
+        state: 'queued',
+        attemptingSince: null,
+        deferredUntil: 0
+    });
+    updateQueueSubscription();
+    notifyQueueChanged();
+}
+
+/**
+ * Remove a friend from the join queue
+ * @param {string} friend_id - Steam ID of the friend
+ */
+function removeFromQueue(friend_id) {
+    JoinHistory.finish(getQueueHistoryKey(friend_id), 'cancelled');
+    joinQueue.entries = joinQueue.entries.filter(entry => entry.steamid !== friend_id);
+    if (joinQueue.current === friend_id) joinQueue.current = null;
+    if (joinQueue.active && !joinQueue.entries.length) {
+        stopQueue();
+        return;
+    }
+    updateQueueSubscription();
+    notifyQueueChanged();
+}
+
+/**
+ * Move a friend up or down in the join queue
+ * @param {string} friend_id - Steam ID of the friend
+ * @param {number} delta - Negative to raise priority, positive to lower it
+ */
+function moveInQueue(friend_id, delta) {
+    const from = joinQueue.entries.findIndex(entry => entry.steamid === friend_id);
+    if (from === -1) return;
+    const to = Math.min(joinQueue.entries.length - 1, Math.max(0, from + delta));
+    if (to === from) return;
+    const [entry] = joinQueue.entries.splice(from, 1);
+    joinQueue.entries.splice(to, 0, entry);
+    notifyQueueChanged();
+}
+
+/**
+ * Set how long a target may stay full before the queue falls back to the next one
+ * @param {number} minutes
+ */
+function setQueueFallbackMinutes(minutes) {
+    const value = Number(minutes);
+    if (!Number.isFinite(value) || value <= 0) return;
+    joinQueue.fallbackMs = value * 60 * 1000;
+    notifyQueueChanged();
+}
+
+/**
+ * Get a copy of the join queue state
+ * @returns {{entries: Array, active: boolean, current: string|null, status: string, fallbackMs: number}}
+ */
+function getQueue() {
+    return {
+        ...joinQueue,
+        entries: joinQueue.entries.map(entry => ({ ...entry }))
+    };
+}
+
+/**
+ * Start trying the queued friends in priority order
+ */
+function startQueue() {
+    if (joinQueue.active || !joinQueue.entries.length) return;
+    const { steam_id, auth } = getCredentials();
+    // Stop single joins so only one target is ever launched at a time
+    Object.keys(joinStates).forEach(fid => {
+        if (!joinStates[fid]?.cancelled) cancelJoin(fid);
+    });
+    joinQueue.entries.forEach(entry => {
+        entry.state = 'queued';
+        entry.attemptingSince = null;
+        entry.deferredUntil = 0;
+    });
+    joinQueue.active = true;
+    joinQueue.current = null;
+    joinQueue.status = 'waiting';
+    window.electronAPI.log('info', `Join queue started: ${joinQueue.entries.map(entry => entry.steamid).join(', ')}`);
+    StatusPoller.setAuth(auth);
+    updateQueueSubscription();
+    notifyQueueChanged();
+    notifyJoinsChanged();
+    queueLoop(steam_id);
+}
+
+/**
+ * Stop the join queue, keeping the queued targets
+ */
+function stopQueue() {
+    if (!joinQueue.active) return;
+    window.electronAPI.log('info', 'Join queue stopped');
+    endQueue('idle');
+}
+
+/**
+ * Stop the queue loop and leave the queue panel on its final status
+ * @param {string} finalStatus - 'idle' when stopped, 'joined' when a target was joined
+ */
+function endQueue(finalStatus) {
+    joinQueue.active = false;
+    joinQueue.current = null;
+    joinQueue.status = finalStatus;
+    joinQueue.blockedReason = null;
+    joinQueue.entries.forEach(entry => {
+        JoinHistory.finish(getQueueHistoryKey(entry.steamid), 'cancelled');
+        if (entry.state !== 'joined') entry.state = 'queued';
+    });
+    StatusPoller.unsubscribe(QUEUE_POLLER_KEY);
+    notifyQueueChanged();
+    notifyJoinsChanged();
+}
+
+/**
+ * Stop the queue and remove all of its entries
+ */
+function clearQueue() {
+    stopQueue();
+    joinQueue.entries = [];
+    joinQueue.status = 'idle';
+    notifyQueueChanged();
+}
+
+/**
+ * Pick the queue target to attempt on this tick
+ * Targets whose match stayed full for longer than the fallback time are deferred
+ * for the same amount of time, so lower-priority targets get a turn.
+ * @param {Object} statuses - Snapshot statuses by Steam ID
+ * @param {number} now - Current timestamp
+ * @returns {Object|null} - Queue entry to attempt
+ */
+function pickQueueTarget(statuses, now) {
+    let fallback = null;
+    for (const entry of joinQueue.entries) {
+        const status = statuses[entry.steamid];
+        if (!status || !status.can_join || !status.connect) {
+            entry.state = 'missing';
+            entry.attemptingSince = null;
+            continue;
+        }
+        if (!acceptsJoinNow(status)) {
+            entry.state = 'next-match';
+            entry.attemptingSince = null;
+            continue;
+        }
+        if (entry.attemptingSince && now - entry.attemptingSince > joinQueue.fallbackMs) {
+            entry.attemptingSince = null;
+            entry.deferredUntil = now + joinQueue.fallbackMs;
+            window.electronAPI.log('info', `Queue target ${entry.steamid} stayed full, falling back to the next target`);
+            JoinHistory.finish(getQueueHistoryKey(entry.steamid), 'timed-out');
+        }
+        if (entry.deferredUntil > now) {
+            entry.state = 'deferred';
+            if (!fallback) fallback = entry;
+            continue;
+        }
+        return entry;
+    }
+    // Every joinable target is deferred — keep trying the highest-priority one
+    return fallback;
+}
+
+/**
+ * Track the time each recorded queue attempt spends in each phase
+ * @param {Object} statuses - Snapshot statuses by Steam ID
+ */
+function trackQueueAttempts(statuses) {
+    const phases = { attempting: 'connecting', missing: 'missing' };
+    joinQueue.entries.forEach(entry => {
+        const key = getQueueHistoryKey(entry.steamid);
+        JoinHistory.update(key, statuses[entry.steamid] || null);
+        JoinHistory.setPhase(key, phases[entry.state] || 'waiting');
+    });
+}
+
+/**
+ * The main loop of the join queue
+ * Launches at most one target per tick
+ * @param {string} user_steam_id - Steam ID of the user
+ */
+async function queueLoop(user_steam_id) {
+    while (joinQueue.active) {
+        const snapshot = await StatusPoller.waitForSnapshot(QUEUE_POLLER_KEY);
+        if (!snapshot || !joinQueue.active) break;
+        if (snapshot.pausedMs) {
+            joinQueue.entries.forEach(entry => {
+                if (entry.attemptingSince) entry.attemptingSince += snapshot.pausedMs;
+                if (entry.deferredUntil) entry.deferredUntil += snapshot.pausedMs;
+            });
+        }
+        if (snapshot.error) {
+            if (snapshot.error instanceof SteamErrors.SteamAuthError) {
+                window.electronAPI.log('error', 'Join queue stopped: ' + snapshot.error.message);
+                UIManager.showError(snapshot.error);
+                stopQueue();
+                break;
+            }
+            continue;
+        }
+        const now = Date.now();
+        const target = pickQueueTarget(snapshot.statuses, now);
+        joinQueue.entries.forEach(entry => {
+            if (entry !== target && (entry.state === 'attempting' || entry.state === 'blocked')) {
+                entry.state = 'queued';
+                entry.attemptingSince = null;
+            }
+        });
+        if (!target) {
+            trackQueueAttempts(snapshot.statuses);
+            joinQueue.current = null;
+            joinQueue.status = 'waiting';
+            joinQueue.blockedReason = null;
+            notifyQueueChanged();
+            continue;
+        }
+        if (joinQueue.current !== target.steamid) {
+            window.electronAPI.log('info', `Join queue now attempting ${target.steamid}`);
+            joinQueue.current = target.steamid;
+        }
+        if (!JoinHistory.isActive(getQueueHistoryKey(target.steamid))) {
+            JoinHistory.begin(getQueueHistoryKey(target.steamid), target.steamid, 'queue', { personaname: target.personaname });
+        }
+        // Never launch without knowing where the user is right now
+        if (snapshot.failedIds.includes(user_steam_id) || !snapshot.statuses[user_steam_id]) continue;
+        const block = LaunchGuard.check(snapshot.statuses[user_steam_id], snapshot.statuses[target.steamid]);
+        if (block && block.code === 'same-server') {
+            window.electronAPI.log('info', `Join queue not launching ${target.steamid}: user is already on its server`);
+            finishQueueJoined(target, snapshot.statuses[target.steamid]);
+            break;
+        }
+        if (block) {
+            // The queue has no one to confirm with, so it waits until the user's match is over
+            if (joinQueue.blockedReason !== block.reason) {
+                window.electronAPI.log('info', `Join queue held back: ${block.reason}`);
+            }
+            target.state = 'blocked';
+            // The user's own match holds the target back, not the target's; its fallback clock starts once launches can go ahead
+            target.attemptingSince = null;
+            joinQueue.status = 'blocked';
+            joinQueue.blockedReason = block.reason;
+            trackQueueAttempts(snapshot.statuses);
+            notifyQueueChanged();
+            continue;
+        }
+        joinQueue.blockedReason = null;
+        if (!target.attemptingSince) target.attemptingSince = now;
+        target.state = 'attempting';
+        trackQueueAttempts(snapshot.statuses);
+        joinQueue.status = 'connecting';
+        notifyQueueChanged();
+        if (!await launchConnect(target.steamid, snapshot.statuses[target.steamid].connect)) {
+            window.electronAPI.log('warn', `Join queue dropped ${target.steamid}: ${LAUNCH_REJECTED_REASON}`);
+            Notifier.joinCancelled(target.steamid, target.personaname || target.steamid, LAUNCH_REJECTED_REASON);
+            removeFromQueue(target.steamid);
+            continue;
+        }
+        const after = await StatusPoller.waitForSnapshot(QUEUE_POLLER_KEY);
+        if (!after || !joinQueue.active) break;
+        const user_server = after.statuses[user_steam_id]?.game_server_steam_id;
+        const friend_server = after.statuses[target.steamid]?.game_server_steam_id;
+        if (user_server && friend_server && user_server === friend_server) {
+            window.electronAPI.log('info', `Join queue joined ${target.steamid} on server ${friend_server}`);
+            finishQueueJoined(target, after.statuses[target.steamid]);
+            break;
+        }
+    }
+}
+
+/**
+ * Mark a queue target as joined and stop the queue, keeping the joined status on show
+ * @param {Object} target - Queue entry
+ * @param {Object} friendStatus - The target's latest status
+ */
+function finishQueueJoined(target, friendStatus) {
+    target.state = 'joined';
+    JoinHistory.update(getQueueHistoryKey(target.steamid), friendStatus);
+    JoinHistory.finish(getQueueHistoryKey(target.steamid), 'joined');
+    Notifier.joinSucceeded(target.steamid, target.personaname || target.steamid);
+    endQueue('joined');
+}
+
 /**
  * Get the current join states for all tracked friends
  * @returns {Object} - Copy of the joinStates object
@@ -147,8 +767,20 @@ function resetAll() {
         if (joinStates[fid]?.interval) {
             clearInterval(joinStates[fid].interval);
         }
+        StatusPoller.unsubscribe(getPollerKey(fid));
+        JoinHistory.finish(fid, 'cancelled');
         delete joinStates[fid];
     });
+    stopQueue();
+    notifyJoinsChanged();
+}
+
+/**
+ * Set the handler called whenever a join or the queue starts or stops
+ * @param {Function} callback
+ */
+function onChange(callback) {
+    onChangeCallback = callback;
 }
 
 // Public API for JoinManager
@@ -156,7 +788,20 @@ const JoinManager = {
     startJoin,
     cancelJoin,
     getJoinStates,
-    resetAll
+    resetAll,
+    confirmLaunch,
+    setJoinLimits,
+    updatePollIntervals,
+    isQueued,
+    addToQueue,
+    removeFromQueue,
+    moveInQueue,
+    setQueueFallbackMinutes,
+    getQueue,
+    startQueue,
+    stopQueue,
+    clearQueue,
+    onChange
 };
 
 export default JoinManager;
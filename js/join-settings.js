@@ -0,0 +1,150 @@
+import Preferences from './preferences.js';
+import GameModes from './game-modes.js';
+
+/**
+ * Join Settings module
+ * Join engine timings and limits, validated against bounds and saved in the profile preferences
+ */
+
+const PREFERENCE_KEY = 'join_timings';
+
+/**
+ * Settings keyed by name. Values are stored in milliseconds (or a count) and shown in `unit`.
+ * - scale: milliseconds per displayed unit
+ * - optional: an empty value means "not set" (mode default, never give up, unlimited)
+ */
+const FIELDS = {
+    pollIntervalMs: { label: 'Join poll interval', unit: 'ms', scale: 1, min: 250, max: 5000, default: 500 },
+    missingTimeoutMs: { label: 'Give up while friend is missing after', unit: 's', scale: 1000, min: 5000, max: 30 * 60 * 1000, default: null, optional: true, emptyLabel: 'mode default' },
+    joinedHoldMs: { label: 'Show "joined" for', unit: 'ms', scale: 1, min: 0, max: 10000, default: 1500 },
+    autoRefreshIntervalMs: { label: 'Friends list refresh interval', unit: 's', scale: 1000, min: 1000, max: 60000, default: 3000 },
+    giveUpAfterMs: { label: 'Give up a join after', unit: 'min', scale: 60 * 1000, min: 60 * 1000, max: 6 * 60 * 60 * 1000, default: null, optional: true, emptyLabel: 'never' },
+    maxConnectAttempts: { label: 'Connect attempts per join', unit: 'times', scale: 1, min: 1, max: 100, default: null, optional: true, emptyLabel: 'unlimited' }
+};
+
+// Limits that can be overridden for a single running join
+const JOIN_LIMIT_FIELDS = ['giveUpAfterMs', 'maxConnectAttempts'];
+
+let current = getDefaults();
+const listeners = new Set();
+
+/**
+ * Get the default value of every setting
+ * @returns {Object}
+ */
+function getDefaults() {
+    return Object.fromEntries(Object.entries(FIELDS).map(([name, field]) => [name, field.default]));
+}
+
+/**
+ * Validate a single stored value
+ * @param {string} name - Setting name
+ * @param {*} value - Value in milliseconds or a count; null or '' for "not set"
+ * @returns {{value: number|null, error: string|null}}
+ */
+function validateValue(name, value) {
+    const field = FIELDS[name];
+    if (value === null || value === undefined || value === '') {
+        return field.optional ? { value: null, error: null } : { value: field.default, error: `${field.label} is required` };
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < field.min || number > field.max) {
+        return {
+            value: field.default,
+            error: `${field.label} must be between ${field.min / field.scale} and ${field.max / field.scale} ${field.unit}`
+        };
+    }
+    return { value: field.scale === 1 ? Math.round(number) : number, error: null };
+}
+
+/**
+ * Validate a set of values. Unknown names are ignored, missing ones keep their current value.
+ * @param {Object} values
+ * @returns {{values: Object, errors: Object}} - Valid values and error messages by setting name
+ */
+function validate(values) {
+    const result = { ...current };
+    const errors = {};
+    Object.keys(FIELDS).forEach(name => {
+        if (!values || !(name in values)) return;
+        const { value, error } = validateValue(name, values[name]);
+        if (error) errors[name] = error;
+        else result[name] = value;
+    });
+    return { values: result, errors };
+}
+
+/**
+ * Load the settings of the active profile. Invalid stored values fall back to their defaults.
+ */
+function load() {
+    const stored = Preferences.get(PREFERENCE_KEY, {});
+    current = getDefaults();
+    current = validate(stored && typeof stored === 'object' ? stored : {}).values;
+    listeners.forEach(listener => listener(get()));
+}
+
+/**
+ * Get a copy of the current settings
+ * @returns {Object}
+ */
+function get() {
+    return { ...current };
+}
+
+/**
+ * Validate, apply and persist new values
+ * @param {Object} values
+ * @returns {Promise<Object>} - Error messages by setting name; empty if everything was saved
+ */
+async function set(values) {
+    const { values: valid, errors } = validate(values);
+    if (Object.keys(errors).length) return errors;
+    current = valid;
+    await Preferences.set(PREFERENCE_KEY, get());
+    listeners.forEach(listener => listener(get()));
+    return {};
+}
+
+/**
+ * Get how long a join keeps waiting while the friend is not in a joinable mode
+ * @param {string} mode - game:mode value of the friend's last joinable match
+ * @returns {number}
+ */
+function getMissingTimeoutMs(mode) {
+    return current.missingTimeoutMs ?? GameModes.getModeRules(mode).missingTimeoutMs;
+}
+
+/**
+ * Get the limits new joins start with
+ * @returns {{giveUpAfterMs: number|null, maxConnectAttempts: number|null}}
+ */
+function getJoinLimits() {
+    return Object.fromEntries(JOIN_LIMIT_FIELDS.map(name => [name, current[name]]));
+}
+
+/**
+ * Listen for settings changes
+ * @param {Function} listener - Called with the new settings
+ * @returns {Function} - Removes the listener
+ */
+function onChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+// Public API for JoinSettings
+const JoinSettings = {
+    FIELDS,
+    JOIN_LIMIT_FIELDS,
+    validateValue,
+    validate,
+    load,
+    get,
+    set,
+    getMissingTimeoutMs,
+    getJoinLimits,
+    onChange
+};
+
+export default JoinSettings;
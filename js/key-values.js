@@ -0,0 +1,114 @@
+/**
+ * KeyValues module
+ * Tokenizer and parser for Valve's KeyValues text format, as used by Steam rich presence:
+ *
+ *     "RP"
+ *     {
+ *         "status"     "Playing Casual"
+ *         "game:map"   "de_dust2"
+ *     }
+ */
+
+// Escape sequences recognised inside quoted strings
+const ESCAPES = { n: '\n', t: '\t', r: '\r', '\\': '\\', '"': '"' };
+
+/**
+ * Split KeyValues text into tokens
+ * Quoted strings may contain escaped quotes; unquoted tokens end at whitespace, quotes or braces.
+ * Comments starting with // run to the end of the line.
+ * @param {string} text
+ * @returns {Array<{type: 'string'|'open'|'close', value?: string}>}
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        const ch = text[i];
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === '/' && text[i + 1] === '/') {
+            while (i < text.length && text[i] !== '\n') i++;
+        } else if (ch === '{') {
+            tokens.push({ type: 'open' });
+            i++;
+        } else if (ch === '}') {
+            tokens.push({ type: 'close' });
+            i++;
+        } else if (ch === '"') {
+            let value = '';
+            i++;
+            while (i < text.length && text[i] !== '"') {
+                if (text[i] === '\\' && i + 1 < text.length) {
+                    const next = text[i + 1];
+                    value += ESCAPES[next] !== undefined ? ESCAPES[next] : '\\' + next;
+                    i += 2;
+                } else {
+                    value += text[i++];
+                }
+            }
+            // Skip the closing quote; an unterminated string ends at the end of input
+            i++;
+            tokens.push({ type: 'string', value });
+        } else {
+            let value = '';
+            while (i < text.length && !/[\s"{}]/.test(text[i])) value += text[i++];
+            tokens.push({ type: 'string', value });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Parse KeyValues text into nested objects
+ * Malformed input is parsed as far as possible: a key without a value is dropped
+ * and unbalanced braces are closed at the end of input.
+ * Blocks have no prototype: keys come from friends' rich presence, so "__proto__" or "constructor" are plain keys.
+ * @param {string} text
+ * @returns {Object} - Keys map to strings or nested objects
+ */
+function parse(text) {
+    const tokens = tokenize(text || '');
+    let pos = 0;
+    function parseBlock() {
+        const block = Object.create(null);
+        while (pos < tokens.length) {
+            const token = tokens[pos++];
+            if (token.type === 'close') return block;
+            if (token.type !== 'string') continue;
+            const next = tokens[pos];
+            if (!next || next.type === 'close') continue;
+            pos++;
+            block[token.value] = next.type === 'open' ? parseBlock() : next.value;
+        }
+        return block;
+    }
+    return parseBlock();
+}
+
+/**
+ * Flatten nested blocks into a single level, joining key paths with ':'
+ * @param {Object} block - Result of parse()
+ * @param {string} [prefix]
+ * @returns {Object<string, string>} - Without a prototype, like the blocks of parse()
+ */
+function flatten(block, prefix = '') {
+    const result = Object.create(null);
+    for (const [key, value] of Object.entries(block)) {
+        const path = prefix ? `${prefix}:${key}` : key;
+        if (value && typeof value === 'object') {
+            Object.assign(result, flatten(value, path));
+        } else {
+            result[path] = value;
+        }
+    }
+    return result;
+}
+
+// Public API for KeyValues
+const KeyValues = {
+    tokenize,
+    parse,
+    flatten
+};
+
+export default KeyValues;
@@ -0,0 +1,46 @@
+import GameModes from './game-modes.js';
+
+/**
+ * Launch Guard module
+ * Checks the user's own status before a join launches the game, so a join never
+ * pulls the user out of a ranked match or reconnects them to the server they are already on
+ */
+
+/**
+ * Check whether the user's own status shows them in a match
+ * @param {Object|undefined} ownStatus - The user's status from a poller snapshot
+ * @returns {boolean|null} - null if the status is unknown
+ */
+function isInMatch(ownStatus) {
+    if (!ownStatus) return null;
+    return ownStatus.in_game && (!!ownStatus.game_server_steam_id || !['', 'lobby'].includes(ownStatus.game_state));
+}
+
+/**
+ * Check whether launching a join to a friend is safe right now
+ * @param {Object|undefined} ownStatus - The user's status from the same snapshot as the friend's
+ * @param {Object} friendStatus - The friend's status
+ * @returns {{code: string, reason: string}|null} - null if the launch may go ahead
+ *   code "same-server": the user is already on the friend's server
+ *   code "in-match": the user is in a match that leaving would abandon; a launch needs confirmation
+ */
+function check(ownStatus, friendStatus) {
+    if (!isInMatch(ownStatus)) return null;
+    const server = ownStatus.game_server_steam_id;
+    if (server && server === friendStatus.game_server_steam_id) {
+        return { code: 'same-server', reason: `You are already on ${friendStatus.personaname || 'this friend'}'s server` };
+    }
+    if (!GameModes.canLeaveSafely(ownStatus.game_mode)) {
+        const mode = GameModes.getModeLabel(ownStatus.game_mode);
+        return { code: 'in-match', reason: `You are mid-match${mode ? ` in ${mode}` : ''}; joining would abandon it` };
+    }
+    return null;
+}
+
+// Public API for LaunchGuard
+const LaunchGuard = {
+    isInMatch,
+    check
+};
+
+export default LaunchGuard;
@@ -0,0 +1,160 @@
+/**
+ * Log Viewer module
+ * Shows the main-process log in a panel with level filtering and search
+ */
+
+// Utility: Get element by ID
+const $id = (id) => document.getElementById(id);
+
+// Levels in ascending severity, matching the main-process logger
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Maximum number of entries kept and rendered at once; older entries are dropped
+const MAX_RENDERED_ENTRIES = 1000;
+
+let entries = [];
+let stopLiveUpdates = null;
+
+/**
+ * Check whether an entry passes the current level filter and search
+ * @param {{level: string, message: string, source: string}} entry
+ * @param {string} minLevel
+ * @param {string} search - Lowercase search string
+ * @returns {boolean}
+ */
+function matchesFilters(entry, minLevel, search) {
+    if (LOG_LEVELS.indexOf(entry.level) < LOG_LEVELS.indexOf(minLevel)) return false;
+    if (search && !entry.message.toLowerCase().includes(search) && !entry.source.includes(search)) return false;
+    return true;
+}
+
+/**
+ * Create the DOM row for a log entry
+ * @param {{timestamp: string, level: string, source: string, message: string}} entry
+ * @returns {HTMLElement}
+ */
+function createEntryRow(entry) {
+    const row = document.createElement('div');
+    row.className = 'log-entry log-' + entry.level;
+    const time = document.createElement('span');
+    time.className = 'log-time';
+    time.textContent = new Date(entry.timestamp).toLocaleString();
+    const level = document.createElement('span');
+    level.className = 'log-level';
+    level.textContent = entry.level.toUpperCase();
+    const source = document.createElement('span');
+    source.className = 'log-source';
+    source.textContent = entry.source;
+    const message = document.createElement('span');
+    message.className = 'log-message';
+    message.textContent = entry.message;
+    row.append(time, level, source, message);
+    return row;
+}
+
+/**
+ * Get the current filter values from the panel inputs
+ * @returns {{minLevel: string, search: string}}
+ */
+function getFilters() {
+    const levelSelect = $id('log-viewer-level');
+    const searchInput = $id('log-viewer-search');
+    return {
+        minLevel: levelSelect ? levelSelect.value : 'debug',
+        search: searchInput ? searchInput.value.trim().toLowerCase() : ''
+    };
+}
+
+/**
+ * Render the log entries that match the current filters
+ */
+function render() {
+    const list = $id('log-viewer-entries');
+    if (!list) return;
+    const { minLevel, search } = getFilters();
+    const visible = entries.filter(entry => matchesFilters(entry, minLevel, search)).slice(-MAX_RENDERED_ENTRIES);
+    list.replaceChildren(...visible.map(createEntryRow));
+    const counter = $id('log-viewer-count');
+    if (counter) counter.textContent = `${visible.length} of ${entries.length} entries`;
+    list.scrollTop = list.scrollHeight;
+}
+
+/**
+ * Append a live entry, keeping the view scrolled to the bottom if it already was
+ * @param {Object} entry
+ */
+function appendEntry(entry) {
+    entries.push(entry);
+    if (entries.length > MAX_RENDERED_ENTRIES) entries.splice(0, entries.length - MAX_RENDERED_ENTRIES);
+    const list = $id('log-viewer-entries');
+    if (!list) return;
+    const { minLevel, search } = getFilters();
+    if (!matchesFilters(entry, minLevel, search)) return;
+    const atBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - 4;
+    list.appendChild(createEntryRow(entry));
+    while (list.childElementCount > MAX_RENDERED_ENTRIES) list.removeChild(list.firstChild);
+    if (atBottom) list.scrollTop = list.scrollHeight;
+}
+
+/**
+ * Open the log viewer panel
+ */
+async function open() {
+    const panel = $id('log-viewer');
+    if (!panel) return;
+    panel.style.display = 'flex';
+    try {
+        entries = (await window.electronAPI.getLogs() || []).slice(-MAX_RENDERED_ENTRIES);
+    } catch (error) {
+        console.error("Failed to load logs:", error);
+        entries = [];
+    }
+    render();
+    if (!stopLiveUpdates && window.electronAPI.onLogEntry) {
+        stopLiveUpdates = window.electronAPI.onLogEntry(appendEntry);
+    }
+}
+
+/**
+ * Close the log viewer panel
+ */
+function close() {
+    const panel = $id('log-viewer');
+    if (panel) panel.style.display = 'none';
+    if (stopLiveUpdates) {
+        stopLiveUpdates();
+        stopLiveUpdates = null;
+    }
+}
+
+/**
+ * Attach the log viewer event listeners
+ */
+function init() {
+    const openLink = $id('log-viewer-link');
+    if (openLink) openLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        open();
+    });
+    const closeBtn = $id('log-viewer-close');
+    if (closeBtn) closeBtn.addEventListener('click', close);
+    const levelSelect = $id('log-viewer-level');
+    if (levelSelect) levelSelect.addEventListener('change', render);
+    const searchInput = $id('log-viewer-search');
+    if (searchInput) searchInput.addEventListener('input', render);
+    const folderBtn = $id('log-viewer-folder');
+    if (folderBtn) folderBtn.addEventListener('click', () => window.electronAPI.openLogFolder());
+    document.addEventListener('keydown', (e) => {
+        const panel = $id('log-viewer');
+        if (e.key === 'Escape' && panel && panel.style.display !== 'none') close();
+    });
+}
+
+// Public API for LogViewer
+const LogViewer = {
+    init,
+    open,
+    close
+};
+
+export default LogViewer;
@@ -0,0 +1,113 @@
+/**
+ * Match Info module
+ * Map names, bundled map thumbnails, score parsing and match progress estimates for friend cards
+ */
+
+import GameModes from './game-modes.js';
+
+const MAP_THUMBNAIL_DIR = 'assets/maps';
+
+// Maps with a bundled thumbnail, keyed by the game:map value
+const MAPS = {
+    de_dust2: 'Dust II',
+    de_mirage: 'Mirage',
+    de_inferno: 'Inferno',
+    de_nuke: 'Nuke',
+    de_overpass: 'Overpass',
+    de_ancient: 'Ancient',
+    de_anubis: 'Anubis',
+    de_vertigo: 'Vertigo',
+    de_train: 'Train',
+    cs_italy: 'Italy',
+    cs_office: 'Office'
+};
+
+// Rounds left at which a match counts as about to end
+const ENDING_ROUNDS_LEFT = 2;
+
+/**
+ * Get the display name of a map
+ * @param {string} map - game:map value, e.g. "de_dust2"
+ * @returns {string}
+ */
+function getMapName(map) {
+    if (!map) return '';
+    if (MAPS[map]) return MAPS[map];
+    // Unknown or workshop maps: strip the prefix and capitalize
+    const name = map.split('/').pop().replace(/^[a-z]{2}_/, '').replace(/_/g, ' ');
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * Get the bundled thumbnail of a map, falling back to a generic one
+ * @param {string} map - game:map value
+ * @returns {string} - Path relative to index.html
+ */
+function getMapThumbnail(map) {
+    return `${MAP_THUMBNAIL_DIR}/${MAPS[map] ? map : 'unknown'}.svg`;
+}
+
+/**
+ * Parse the game:score rich presence value into per-team round wins
+ * Accepts "[ CT 3 : 5 T ]" as sent by CS2, and a bare "3 : 5" (CT first)
+ * @param {string} score
+ * @returns {{ct: number, t: number}|null}
+ */
+function parseScore(score) {
+    if (!score) return null;
+    const match = score.match(/CT\s*(\d+)\s*:\s*(\d+)\s*T/i) || score.match(/(\d+)\s*:\s*(\d+)/);
+    if (!match) return null;
+    return { ct: parseInt(match[1], 10), t: parseInt(match[2], 10) };
+}
+
+/**
+ * Estimate how far a match has progressed from its score, using the round limits of its mode
+ * @param {{ct: number, t: number}|null} score
+ * @param {string} mode - game:mode value
+ * @returns {{roundsPlayed: number, roundsLeft: number, maxRounds: number, progress: number, ending: boolean}|null}
+ *   null for modes without rounds; progress is between 0 and 1;
+ *   ending is true when the match may end within ENDING_ROUNDS_LEFT rounds
+ */
+function getMatchProgress(score, mode) {
+    const rounds = GameModes.getRoundRules(mode);
+    if (!score || !rounds) return null;
+    const roundsPlayed = score.ct + score.t;
+    const roundsLeft = Math.max(0, Math.min(
+        rounds.max - roundsPlayed,
+        rounds.toWin - Math.max(score.ct, score.t)
+    ));
+    const progress = Math.min(1, Math.max(
+        roundsPlayed / rounds.max,
+        Math.max(score.ct, score.t) / rounds.toWin
+    ));
+    return { roundsPlayed, roundsLeft, maxRounds: rounds.max, progress, ending: roundsLeft <= ENDING_ROUNDS_LEFT };
+}
+
+/**
+ * Collect everything a friend card shows about the current match
+ * @param {Object} friend - Friend status from SteamAPI.toFriendStatus
+ * @returns {{map: string, mapName: string, thumbnail: string, score: Object|null, progress: Object|null}|null}
+ *   null if the friend's map is unknown
+ */
+function getMatchInfo(friend) {
+    if (!friend || !friend.game_map) return null;
+    const score = parseScore(friend.game_score);
+    return {
+        map: friend.game_map,
+        mapName: getMapName(friend.game_map),
+        thumbnail: getMapThumbnail(friend.game_map),
+        score,
+        progress: getMatchProgress(score, friend.game_mode)
+    };
+}
+
+// Public API for MatchInfo
+const MatchInfo = {
+    getMapName,
+    getMapThumbnail,
+    parseScore,
+    getMatchProgress,
+    getMatchInfo
+};
+
+export default MatchInfo;
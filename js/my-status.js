@@ -0,0 +1,166 @@
+import StatusPoller from './status-poller.js';
+import SteamErrors from './steam-errors.js';
+import GameModes from './game-modes.js';
+import MatchInfo from './match-info.js';
+import RefreshScheduler from './refresh-scheduler.js';
+import JoinManager from './join-manager.js';
+import AppState from './app-state.js';
+
+/**
+ * My Status module
+ * Header panel with the user's own CS2 presence as Steam reports it,
+ * including the game server that join loops compare against the friend's
+ */
+
+// Utility: Get element by ID
+const $id = (id) => document.getElementById(id);
+
+const POLLER_KEY = 'my-status';
+
+let steamId = null;
+let ownStatus = null;
+let lastUpdated = null;
+let stale = false;
+
+/**
+ * Create an element with text content
+ * @param {string} tag
+ * @param {string} text
+ * @param {string} [className]
+ * @returns {HTMLElement}
+ */
+function createText(tag, text, className) {
+    const el = document.createElement(tag);
+    el.textContent = text;
+    if (className) el.className = className;
+    return el;
+}
+
+/**
+ * Describe where the user is in CS2
+ * @param {Object|null} status
+ * @returns {string}
+ */
+function describePresence(status) {
+    if (!status) return 'Waiting for Steam...';
+    if (!status.in_game) return 'CS2 is not running';
+    const match = [GameModes.getModeLabel(status.game_mode), MatchInfo.getMapName(status.game_map)].filter(Boolean).join(' on ');
+    if (match) return `In CS2 · ${match}`;
+    return `In CS2 · ${status.status || (status.game_state === 'lobby' ? 'In the lobby' : 'In the menu')}`;
+}
+
+/**
+ * Build one row per running join, comparing the friend's server with the user's
+ * @returns {Array<HTMLElement>}
+ */
+function createJoinRows() {
+    const ownServer = ownStatus?.game_server_steam_id || '';
+    return Object.entries(JoinManager.getJoinStates())
+        .filter(([, state]) => state && !state.cancelled)
+        .map(([friend_id, state]) => {
+            const friend = AppState.friendsData.find(f => f.steamid === friend_id);
+            const friendServer = friend?.game_server_steam_id || '';
+            const same = !!ownServer && ownServer === friendServer;
+            const row = document.createElement('div');
+            row.className = 'my-status-join' + (same ? ' same-server' : '');
+            row.append(
+                createText('span', `${friend?.personaname || state.personaname || friend_id}:`, 'my-status-label'),
+                createText('code', friendServer || 'no server', 'my-status-server'),
+                createText('span', same ? 'same server as you' : 'not your server', 'my-status-compare')
+            );
+            return row;
+        });
+}
+
+/**
+ * Render the panel from the last known status
+ */
+function render() {
+    const panel = $id('my-status');
+    if (!panel) return;
+    if (!steamId) {
+        panel.style.display = 'none';
+        panel.replaceChildren();
+        return;
+    }
+    panel.style.display = '';
+    const dot = createText('span', '', 'my-status-dot' + (ownStatus?.in_game ? ' in-game' : ''));
+    const summary = document.createElement('div');
+    summary.className = 'my-status-summary';
+    summary.append(dot, createText('span', describePresence(ownStatus), 'my-status-presence'));
+    const score = MatchInfo.parseScore(ownStatus?.game_score);
+    if (score) summary.appendChild(createText('span', `CT ${score.ct} : ${score.t} T`, 'my-status-score'));
+    const updated = lastUpdated ? new Date(lastUpdated).toLocaleTimeString() : '—';
+    summary.appendChild(createText('span', stale ? `Last update failed, showing ${updated}` : `Updated ${updated}`, 'my-status-updated'));
+
+    const server = document.createElement('div');
+    server.className = 'my-status-row';
+    server.append(
+        createText('span', 'Your server:', 'my-status-label'),
+        createText('code', ownStatus?.game_server_steam_id || 'none', 'my-status-server')
+    );
+    panel.replaceChildren(summary, server, ...createJoinRows());
+}
+
+/**
+ * Handle a snapshot with the user's own status
+ * @param {{statuses: Object, failedIds: Array<string>, error: Error|null}} snapshot
+ */
+function handleSnapshot(snapshot) {
+    if (snapshot.error instanceof SteamErrors.SteamAuthError) {
+        stop();
+        return;
+    }
+    if (snapshot.error || snapshot.failedIds.includes(steamId)) {
+        stale = true;
+    } else {
+        ownStatus = snapshot.statuses[steamId] || null;
+        lastUpdated = snapshot.timestamp;
+        stale = false;
+    }
+    render();
+}
+
+/**
+ * Start showing the user's own status. The panel mostly reuses polls that include the user anyway.
+ * @param {string} steam_id - The user's SteamID64
+ */
+function start(steam_id) {
+    if (!steam_id) return;
+    if (steam_id !== steamId) {
+        ownStatus = null;
+        lastUpdated = null;
+        stale = false;
+    }
+    steamId = steam_id;
+    StatusPoller.subscribe(POLLER_KEY, [steam_id], handleSnapshot, RefreshScheduler.getIntervalMs());
+    render();
+}
+
+/**
+ * Follow the current refresh interval, so the panel does not poll on its own while the friends list slows down
+ */
+function updateInterval() {
+    StatusPoller.updateInterval(POLLER_KEY, RefreshScheduler.getIntervalMs());
+}
+
+/**
+ * Stop polling and hide the panel
+ */
+function stop() {
+    StatusPoller.unsubscribe(POLLER_KEY);
+    steamId = null;
+    ownStatus = null;
+    lastUpdated = null;
+    stale = false;
+    render();
+}
+
+// Public API for MyStatus
+const MyStatus = {
+    start,
+    stop,
+    updateInterval
+};
+
+export default MyStatus;
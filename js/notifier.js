@@ -0,0 +1,97 @@
+import GameModes from './game-modes.js';
+import MatchInfo from './match-info.js';
+
+/**
+ * Notifier module
+ * Requests native desktop notifications from the main process and routes their clicks back
+ */
+
+/**
+ * Ask the main process to show a notification
+ * @param {string} kind - 'friend-joinable', 'join-success', 'join-cancelled', 'token-expiring' or 'token-expired'
+ * @param {string} friendId - Steam ID the notification is about (the user's own for token notifications)
+ * @param {string} personaname - Friend's name, shown in the title
+ * @param {string} title
+ * @param {string} body
+ */
+async function notify(kind, friendId, personaname, title, body) {
+    try {
+        await window.electronAPI.notify({ kind, friendId, personaname, title, body });
+    } catch (error) {
+        window.electronAPI.log('warn', `Notification (${kind}) failed: ${error.message}`);
+    }
+}
+
+/**
+ * Notify that a watched friend entered a joinable match
+ * @param {Object} friend - Friend status object
+ */
+function friendJoinable(friend) {
+    const where = [GameModes.getModeLabel(friend.game_mode), MatchInfo.getMapName(friend.game_map)].filter(Boolean).join(' on ');
+    notify('friend-joinable', friend.steamid, friend.personaname,
+        `${friend.personaname} is in a joinable match`,
+        `${where || 'In game'}. Click to join.`);
+}
+
+/**
+ * Notify that a join succeeded
+ * @param {string} friendId
+ * @param {string} personaname
+ */
+function joinSucceeded(friendId, personaname) {
+    notify('join-success', friendId, personaname, `Joined ${personaname}`, 'You are on the same server now.');
+}
+
+/**
+ * Notify that a join was cancelled because it ran into one of its limits
+ * @param {string} friendId
+ * @param {string} personaname
+ * @param {string} reason - Sentence describing the limit, e.g. "Not in a joinable match for 60 seconds."
+ */
+function joinCancelled(friendId, personaname, reason) {
+    notify('join-cancelled', friendId, personaname,
+        `Stopped joining ${personaname}`,
+        `${reason} Click to try again.`);
+}
+
+/**
+ * Warn that the Steam Web API token is about to expire
+ * @param {string} steamId - SteamID of the token's account
+ * @param {number} remainingMs - Time until expiry
+ */
+function tokenExpiring(steamId, remainingMs) {
+    notify('token-expiring', steamId, '',
+        'Steam Web API token expires soon',
+        `It expires in ${Math.ceil(remainingMs / 60000)} min. Updates and joins pause then until you paste a new token.`);
+}
+
+/**
+ * Notify that the token expired and updates are paused
+ * @param {string} steamId - SteamID of the token's account
+ */
+function tokenExpired(steamId) {
+    notify('token-expired', steamId, '',
+        'Steam Web API token expired',
+        'Updates and joins are paused. Click to paste a new token.');
+}
+
+/**
+ * Handle clicks on notifications
+ * @param {Function} handler - Called with {kind, friendId, personaname}
+ * @returns {Function} - Removes the handler
+ */
+function onClick(handler) {
+    return window.electronAPI.onNotificationClick(handler);
+}
+
+// Public API for Notifier
+const Notifier = {
+    friendJoinable,
+    joinSucceeded,
+    joinCancelled,
+    tokenExpiring,
+    tokenExpired,
+    onClick
+};
+
+export default Notifier;
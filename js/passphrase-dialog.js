@@ -0,0 +1,104 @@
+/**
+ * Passphrase Dialog module
+ * Prompts for the passphrase that protects saved credentials when OS-level encryption is unavailable
+ */
+
+// Utility: Get element by ID
+const $id = (id) => document.getElementById(id);
+
+const MIN_PASSPHRASE_LENGTH = 6;
+
+const DIALOG_TEXTS = {
+    unlock: {
+        title: 'Unlock saved credentials',
+        message: 'Your Steam API Token / Key and SteamID are encrypted with a passphrase. Enter it to continue.',
+        submit: 'Unlock',
+        cancel: 'Skip'
+    },
+    create: {
+        title: 'Protect your credentials',
+        message: 'Secure system storage is not available on this computer. Choose a passphrase to encrypt your Steam API Token / Key and SteamID. You will be asked for it on every start.',
+        submit: 'Save passphrase',
+        cancel: 'Not now'
+    }
+};
+
+/**
+ * Show the passphrase dialog
+ * @param {'unlock'|'create'} mode
+ * @param {Function} onSubmit - Async callback receiving the passphrase; returns true if accepted
+ * @returns {Promise<boolean>} - True if a passphrase was accepted, false if the user cancelled
+ */
+function prompt(mode, onSubmit) {
+    const dialog = $id('passphrase-dialog');
+    const input = $id('passphrase-input');
+    const confirmInput = $id('passphrase-confirm');
+    const errorEl = $id('passphrase-error');
+    const submitBtn = $id('passphrase-submit');
+    const cancelBtn = $id('passphrase-cancel');
+    if (!dialog || !input || !submitBtn || !cancelBtn) return Promise.resolve(false);
+
+    const texts = DIALOG_TEXTS[mode];
+    $id('passphrase-title').textContent = texts.title;
+    $id('passphrase-message').textContent = texts.message;
+    submitBtn.textContent = texts.submit;
+    cancelBtn.textContent = texts.cancel;
+    input.value = '';
+    confirmInput.value = '';
+    confirmInput.style.display = mode === 'create' ? '' : 'none';
+    errorEl.textContent = '';
+    dialog.style.display = 'flex';
+    input.focus();
+
+    return new Promise(resolve => {
+        const finish = (result) => {
+            dialog.style.display = 'none';
+            submitBtn.removeEventListener('click', submit);
+            cancelBtn.removeEventListener('click', cancel);
+            dialog.removeEventListener('keydown', onKeyDown);
+            resolve(result);
+        };
+        const submit = async () => {
+            const passphrase = input.value;
+            if (mode === 'create') {
+                if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+                    errorEl.textContent = `The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters long.`;
+                    return;
+                }
+                if (passphrase !== confirmInput.value) {
+                    errorEl.textContent = 'The passphrases do not match.';
+                    return;
+                }
+            }
+            submitBtn.disabled = true;
+            try {
+                if (await onSubmit(passphrase)) {
+                    finish(true);
+                } else {
+                    errorEl.textContent = mode === 'unlock' ? 'Wrong passphrase.' : 'Could not save the passphrase.';
+                    input.select();
+                }
+            } catch (error) {
+                window.electronAPI.log('error', `Passphrase ${mode === 'unlock' ? 'unlock' : 'setup'} failed: ${error.message}`);
+                errorEl.textContent = mode === 'unlock' ? 'Could not unlock the credentials.' : 'Could not save the passphrase.';
+            } finally {
+                submitBtn.disabled = false;
+            }
+        };
+        const cancel = () => finish(false);
+        const onKeyDown = (e) => {
+            if (e.key === 'Enter') submit();
+            else if (e.key === 'Escape') cancel();
+        };
+        submitBtn.addEventListener('click', submit);
+        cancelBtn.addEventListener('click', cancel);
+        dialog.addEventListener('keydown', onKeyDown);
+    });
+}
+
+// Public API for PassphraseDialog
+const PassphraseDialog = {
+    prompt
+};
+
+export default PassphraseDialog;
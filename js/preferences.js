@@ -0,0 +1,53 @@
+/**
+ * Preferences module
+ * Per-profile preferences, saved together with the active profile's settings
+ */
+
+let preferences = {};
+// Profile the preferences were loaded from; saves are rejected once another profile is active
+let profileName;
+
+/**
+ * Replace the current preferences, e.g. after loading or switching profiles
+ * @param {Object} [prefs]
+ * @param {string} [profile] - Name of the profile they belong to
+ */
+function load(prefs, profile) {
+    preferences = prefs && typeof prefs === 'object' ? { ...prefs } : {};
+    profileName = profile;
+}
+
+/**
+ * Get a preference value
+ * @param {string} key
+ * @param {*} [fallback] - Value returned when the preference is not set
+ * @returns {*}
+ */
+function get(key, fallback) {
+    return preferences[key] !== undefined ? preferences[key] : fallback;
+}
+
+/**
+ * Set a preference and persist it to the active profile
+ * @param {string} key
+ * @param {*} value
+ * @returns {Promise<boolean>}
+ */
+async function set(key, value) {
+    preferences = { ...preferences, [key]: value };
+    try {
+        return await window.electronAPI.saveSettings({ preferences }, profileName);
+    } catch (error) {
+        window.electronAPI.log('error', `Failed to save preference ${key}: ${error.message}`);
+        return false;
+    }
+}
+
+// Public API for Preferences
+const Preferences = {
+    load,
+    get,
+    set
+};
+
+export default Preferences;
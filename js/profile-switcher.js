@@ -0,0 +1,147 @@
+/**
+ * Profile Switcher module
+ * Window bar control for switching between named Steam account profiles
+ */
+
+// Utility: Get element by ID
+const $id = (id) => document.getElementById(id);
+
+// Select options that are actions rather than profiles are marked with data-action,
+// so no profile name can be mistaken for one
+const NEW_PROFILE_ACTION = 'new';
+const DELETE_PROFILE_ACTION = 'delete';
+
+let activeProfile = null;
+let onSwitchCallback = null;
+
+/**
+ * Append an option to the profile select
+ * @param {HTMLSelectElement} select
+ * @param {string} value - Profile name, empty for actions
+ * @param {string} label
+ * @param {string} [action] - Action run when the option is selected
+ */
+function addOption(select, value, label, action) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    if (action) option.dataset.action = action;
+    select.appendChild(option);
+}
+
+/**
+ * Reload the profile list into the select
+ */
+async function refresh() {
+    const select = $id('profile-select');
+    if (!select) return;
+    const { active, profiles } = await window.electronAPI.listProfiles();
+    activeProfile = active;
+    select.replaceChildren();
+    profiles.forEach(name => addOption(select, name, name));
+    addOption(select, '', 'New profile...', NEW_PROFILE_ACTION);
+    if (profiles.length > 1) addOption(select, '', `Delete "${active}"`, DELETE_PROFILE_ACTION);
+    select.value = active;
+}
+
+/**
+ * Apply settings of the newly active profile and refresh the list
+ * @param {Object|null} settings
+ */
+async function applySwitch(settings) {
+    await refresh();
+    if (settings && onSwitchCallback) await onSwitchCallback(settings);
+}
+
+/**
+ * Show or hide the inline input for a new profile name
+ * @param {boolean} visible
+ */
+function toggleNameInput(visible) {
+    const input = $id('profile-name-input');
+    const select = $id('profile-select');
+    if (!input || !select) return;
+    input.style.display = visible ? '' : 'none';
+    select.style.display = visible ? 'none' : '';
+    if (visible) {
+        input.value = '';
+        input.classList.remove('invalid-input');
+        input.focus();
+    }
+}
+
+/**
+ * Create a profile from the inline input
+ */
+async function createFromInput() {
+    const input = $id('profile-name-input');
+    const name = input.value.trim();
+    if (!name) {
+        toggleNameInput(false);
+        return;
+    }
+    const settings = await window.electronAPI.createProfile(name);
+    if (!settings) {
+        input.classList.add('invalid-input');
+        input.title = 'Profile names must be unique and at most 32 characters long';
+        return;
+    }
+    window.electronAPI.log('info', `Created profile "${name}"`);
+    toggleNameInput(false);
+    await applySwitch(settings);
+}
+
+/**
+ * Handle a selection in the profile select
+ */
+async function handleSelect() {
+    const select = $id('profile-select');
+    const value = select.value;
+    const action = select.selectedOptions[0]?.dataset.action;
+    if (action === NEW_PROFILE_ACTION) {
+        select.value = activeProfile;
+        toggleNameInput(true);
+        return;
+    }
+    if (action === DELETE_PROFILE_ACTION) {
+        select.value = activeProfile;
+        if (!window.confirm(`Delete profile "${activeProfile}" with its saved credentials and friends list?`)) return;
+        window.electronAPI.log('info', `Deleting profile "${activeProfile}"`);
+        await applySwitch(await window.electronAPI.deleteProfile(activeProfile));
+        return;
+    }
+    if (value === activeProfile) return;
+    window.electronAPI.log('info', `Switching to profile "${value}"`);
+    await applySwitch(await window.electronAPI.switchProfile(value));
+}
+
+/**
+ * Initialize the switcher
+ * @param {Function} onSwitch - Called with the settings of the newly active profile
+ */
+async function init(onSwitch) {
+    onSwitchCallback = onSwitch;
+    const select = $id('profile-select');
+    if (select) select.addEventListener('change', handleSelect);
+    const input = $id('profile-name-input');
+    if (input) {
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') createFromInput();
+            else if (e.key === 'Escape') toggleNameInput(false);
+        });
+        input.addEventListener('blur', () => toggleNameInput(false));
+    }
+    try {
+        await refresh();
+    } catch (error) {
+        window.electronAPI.log('error', 'Failed to load profiles: ' + error.message);
+    }
+}
+
+// Public API for ProfileSwitcher
+const ProfileSwitcher = {
+    init,
+    refresh
+};
+
+export default ProfileSwitcher;
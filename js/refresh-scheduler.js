@@ -0,0 +1,141 @@
+import JoinSettings from './join-settings.js';
+
+/**
+ * Refresh Scheduler module
+ * Works out how often the friends list is refreshed, starting from the configured interval:
+ * slower while the window is hidden or no friend is in a match, faster while joins are running,
+ * and backing off after consecutive failed updates
+ */
+
+const HIDDEN_FACTOR = 4;
+const IDLE_FACTOR = 2;
+const ACTIVE_FACTOR = 0.5;
+// The interval doubles per failed update, up to 2^MAX_BACKOFF_STEPS times
+const MAX_BACKOFF_STEPS = 5;
+const MIN_INTERVAL_MS = 1000;
+const MAX_INTERVAL_MS = 5 * 60 * 1000;
+
+let windowHidden = false;
+let friendsInMatch = true;
+let joinsActive = false;
+let failures = 0;
+let current = { intervalMs: null, reasons: [] };
+let onChangeCallback = null;
+
+/**
+ * Compute the interval from the current conditions
+ * @returns {{intervalMs: number, reasons: Array<string>}}
+ */
+function compute() {
+    let intervalMs = JoinSettings.get().autoRefreshIntervalMs;
+    const reasons = [];
+    if (windowHidden) {
+        intervalMs *= HIDDEN_FACTOR;
+        reasons.push('window hidden');
+    }
+    if (joinsActive) {
+        intervalMs *= ACTIVE_FACTOR;
+        reasons.push('join running');
+    } else if (!friendsInMatch) {
+        intervalMs *= IDLE_FACTOR;
+        reasons.push('no friends in a match');
+    }
+    if (failures) {
+        intervalMs *= 2 ** Math.min(failures, MAX_BACKOFF_STEPS);
+        reasons.push(`${failures} failed update${failures === 1 ? '' : 's'}`);
+    }
+    intervalMs = Math.round(Math.min(MAX_INTERVAL_MS, Math.max(MIN_INTERVAL_MS, intervalMs)));
+    return { intervalMs, reasons };
+}
+
+/**
+ * Recompute the interval and report it if anything changed
+ */
+function update() {
+    const next = compute();
+    if (next.intervalMs === current.intervalMs && next.reasons.join() === current.reasons.join()) return;
+    current = next;
+    if (onChangeCallback) onChangeCallback(current.intervalMs);
+}
+
+/**
+ * Get the current refresh interval
+ * @returns {number} - Milliseconds
+ */
+function getIntervalMs() {
+    if (current.intervalMs === null) current = compute();
+    return current.intervalMs;
+}
+
+/**
+ * Describe the current cadence for the status line, e.g. "Refreshing every 12 s (window hidden)"
+ * @returns {string}
+ */
+function describe() {
+    const seconds = getIntervalMs() / 1000;
+    const every = seconds >= 60 ? `${Math.round(seconds / 6) / 10} min` : `${Math.round(seconds * 10) / 10} s`;
+    return `Refreshing every ${every}` + (current.reasons.length ? ` (${current.reasons.join(', ')})` : '');
+}
+
+/**
+ * Report what the last update found
+ * @param {boolean} anyFriendInMatch - Whether any friend is in a joinable match
+ * @param {boolean} anyJoinActive - Whether a join or the join queue is running
+ */
+function setActivity(anyFriendInMatch, anyJoinActive) {
+    friendsInMatch = !!anyFriendInMatch;
+    joinsActive = !!anyJoinActive;
+    update();
+}
+
+/**
+ * Report the outcome of an update; failures back off, a success resets the backoff
+ * @param {boolean} ok
+ */
+function recordResult(ok) {
+    failures = ok ? 0 : failures + 1;
+    update();
+}
+
+/**
+ * Start over with the configured interval, e.g. when auto-refresh starts for a profile
+ */
+function reset() {
+    friendsInMatch = true;
+    joinsActive = false;
+    failures = 0;
+    update();
+}
+
+/**
+ * Set the handler called with the new interval whenever it changes
+ * @param {Function} callback
+ */
+function onChange(callback) {
+    onChangeCallback = callback;
+}
+
+/**
+ * Follow the window's visibility; a minimized or hidden window refreshes less often
+ */
+function init() {
+    windowHidden = document.hidden;
+    document.addEventListener('visibilitychange', () => {
+        windowHidden = document.hidden;
+        update();
+    });
+}
+
+// Public API for RefreshScheduler
+const RefreshScheduler = {
+    init,
+    update,
+    getIntervalMs,
+    describe,
+    setActivity,
+    recordResult,
+    reset,
+    onChange
+};
+
+export default RefreshScheduler;
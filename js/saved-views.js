@@ -0,0 +1,177 @@
+import Preferences from './preferences.js';
+import FriendQuery from './friend-query.js';
+
+/**
+ * Saved Views module
+ * Sort selector and named views (query + sort order) saved in the profile preferences
+ */
+
+// Utility: Get element by ID
+const $id = (id) => document.getElementById(id);
+
+const MAX_VIEW_NAME_LENGTH = 32;
+
+let onChangeCallback = null;
+
+/**
+ * Get the saved views of the active profile
+ * @returns {Array<{name: string, query: string, sort: string}>}
+ */
+function getViews() {
+    const views = Preferences.get('saved_views', []);
+    return Array.isArray(views) ? views.filter(view => view && typeof view.name === 'string') : [];
+}
+
+/**
+ * Get the selected sort order
+ * @returns {string}
+ */
+function getSort() {
+    const select = $id('friend-sort');
+    return select && select.value ? select.value : 'name';
+}
+
+/**
+ * Create an option for a select
+ * @param {string} value
+ * @param {string} label
+ * @returns {HTMLOptionElement}
+ */
+function createOption(value, label) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    return option;
+}
+
+function notifyChange() {
+    if (onChangeCallback) onChangeCallback();
+}
+
+/**
+ * Rebuild the sort and view selects from the current preferences
+ */
+function refresh() {
+    const sortSelect = $id('friend-sort');
+    if (sortSelect) {
+        sortSelect.replaceChildren(...FriendQuery.SORT_OPTIONS.map(option => createOption(option.id, option.label)));
+        sortSelect.value = Preferences.get('friend_sort', 'name');
+        if (!sortSelect.value) sortSelect.value = 'name';
+    }
+    const viewSelect = $id('saved-views');
+    if (viewSelect) {
+        viewSelect.replaceChildren(
+            createOption('', 'Saved views'),
+            ...getViews().map(view => createOption(view.name, view.name))
+        );
+    }
+    const deleteBtn = $id('delete-view-btn');
+    if (deleteBtn) deleteBtn.disabled = true;
+}
+
+/**
+ * Apply a saved view to the filter input and sort select
+ * @param {string} name
+ */
+function applyView(name) {
+    const view = getViews().find(v => v.name === name);
+    const deleteBtn = $id('delete-view-btn');
+    if (deleteBtn) deleteBtn.disabled = !view;
+    if (!view) return;
+    const filterInput = $id('friend-filter-input');
+    if (filterInput) filterInput.value = view.query || '';
+    const sortSelect = $id('friend-sort');
+    if (sortSelect) sortSelect.value = view.sort || 'name';
+    Preferences.set('friend_filter', view.query || '');
+    Preferences.set('friend_sort', getSort());
+    notifyChange();
+}
+
+/**
+ * Show or hide the inline input for a view name
+ * @param {boolean} visible
+ */
+function toggleNameInput(visible) {
+    const input = $id('view-name-input');
+    const button = $id('save-view-btn');
+    if (!input || !button) return;
+    input.style.display = visible ? '' : 'none';
+    button.style.display = visible ? 'none' : '';
+    if (visible) {
+        input.value = $id('saved-views')?.value || '';
+        input.classList.remove('invalid-input');
+        input.focus();
+    }
+}
+
+/**
+ * Save the current query and sort order under the name typed in the inline input
+ * A view with the same name is replaced
+ */
+async function saveFromInput() {
+    const input = $id('view-name-input');
+    const name = input.value.trim();
+    if (!name || name.length > MAX_VIEW_NAME_LENGTH) {
+        input.classList.add('invalid-input');
+        return;
+    }
+    const filterInput = $id('friend-filter-input');
+    const view = { name, query: filterInput ? filterInput.value.trim() : '', sort: getSort() };
+    const views = getViews().filter(v => v.name !== name);
+    await Preferences.set('saved_views', [...views, view]);
+    window.electronAPI.log('info', `Saved friends list view "${name}"`);
+    toggleNameInput(false);
+    refresh();
+    $id('saved-views').value = name;
+    $id('delete-view-btn').disabled = false;
+}
+
+/**
+ * Delete the selected view
+ */
+async function deleteSelected() {
+    const name = $id('saved-views')?.value;
+    if (!name) return;
+    await Preferences.set('saved_views', getViews().filter(v => v.name !== name));
+    window.electronAPI.log('info', `Deleted friends list view "${name}"`);
+    refresh();
+}
+
+/**
+ * Initialize the controls
+ * @param {Function} onChange - Called when the query or sort order changes
+ */
+function init(onChange) {
+    onChangeCallback = onChange;
+    const sortSelect = $id('friend-sort');
+    if (sortSelect) {
+        sortSelect.addEventListener('change', () => {
+            Preferences.set('friend_sort', getSort());
+            notifyChange();
+        });
+    }
+    const viewSelect = $id('saved-views');
+    if (viewSelect) viewSelect.addEventListener('change', () => applyView(viewSelect.value));
+    const saveBtn = $id('save-view-btn');
+    if (saveBtn) saveBtn.addEventListener('click', () => toggleNameInput(true));
+    const deleteBtn = $id('delete-view-btn');
+    if (deleteBtn) deleteBtn.addEventListener('click', deleteSelected);
+    const input = $id('view-name-input');
+    if (input) {
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') saveFromInput();
+            else if (e.key === 'Escape') toggleNameInput(false);
+        });
+        input.addEventListener('blur', () => toggleNameInput(false));
+    }
+    refresh();
+}
+
+// Public API for SavedViews
+const SavedViews = {
+    init,
+    refresh,
+    getSort
+};
+
+export default SavedViews;
@@ -0,0 +1,224 @@
+import JoinSettings from './join-settings.js';
+import JoinManager from './join-manager.js';
+import AppState from './app-state.js';
+
+/**
+ * Settings Panel module
+ * Edits the join engine timings and limits, and the limits of joins that are already running
+ */
+
+// Utility: Get element by ID
+const $id = (id) => document.getElementById(id);
+
+/**
+ * Convert a stored value to the number shown in an input
+ * @param {string} name - Setting name
+ * @param {number|null} value
+ * @returns {string}
+ */
+function toInputValue(name, value) {
+    return value === null || value === undefined ? '' : String(value / JoinSettings.FIELDS[name].scale);
+}
+
+/**
+ * Convert an input's text to a stored value
+ * @param {string} name - Setting name
+ * @param {string} text
+ * @returns {number|string} - '' when the input is empty
+ */
+function fromInputValue(name, text) {
+    const trimmed = text.trim();
+    return trimmed === '' ? '' : Number(trimmed) * JoinSettings.FIELDS[name].scale;
+}
+
+/**
+ * Create a labelled number input for a setting
+ * @param {string} name - Setting name
+ * @param {number|null} value - Stored value
+ * @param {string} idPrefix - Prefix of the input id
+ * @returns {HTMLLabelElement}
+ */
+function createField(name, value, idPrefix) {
+    const field = JoinSettings.FIELDS[name];
+    const label = document.createElement('label');
+    label.className = 'join-settings-field';
+    const text = document.createElement('span');
+    text.className = 'join-settings-label';
+    text.textContent = field.label;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.id = `${idPrefix}-${name}`;
+    input.dataset.setting = name;
+    input.min = String(field.min / field.scale);
+    input.max = String(field.max / field.scale);
+    input.step = 'any';
+    input.value = toInputValue(name, value);
+    if (field.optional) input.placeholder = field.emptyLabel;
+    const unit = document.createElement('span');
+    unit.className = 'join-settings-unit';
+    unit.textContent = field.unit;
+    label.append(text, input, unit);
+    return label;
+}
+
+/**
+ * Mark inputs with errors and list the error messages
+ * @param {HTMLElement} container - Element holding the inputs
+ * @param {Object} errors - Error messages by setting name
+ * @param {HTMLElement} output - Element the messages are written to
+ */
+function showErrors(container, errors, output) {
+    container.querySelectorAll('input[data-setting]').forEach(input => {
+        input.classList.toggle('invalid-input', !!errors[input.dataset.setting]);
+    });
+    output.textContent = Object.values(errors).join('. ');
+}
+
+/**
+ * Render the global settings form from the current values
+ */
+function renderSettings() {
+    const form = $id('join-settings-fields');
+    if (!form) return;
+    const values = JoinSettings.get();
+    form.replaceChildren(...Object.keys(JoinSettings.FIELDS).map(name => createField(name, values[name], 'join-setting')));
+    $id('join-settings-error').textContent = '';
+}
+
+/**
+ * Get a display name for a running join
+ * @param {string} friend_id
+ * @param {Object} state - Join state
+ * @returns {string}
+ */
+function getJoinName(friend_id, state) {
+    const friend = AppState.friendsData.find(f => f.steamid === friend_id);
+    return friend?.personaname || state.personaname || friend_id;
+}
+
+/**
+ * Render the limit overrides of running joins
+ */
+function renderRunningJoins() {
+    const list = $id('join-settings-running');
+    if (!list) return;
+    const running = Object.entries(JoinManager.getJoinStates())
+        .filter(([, state]) => state && !state.cancelled && state.status !== 'joined');
+    if (!running.length) {
+        const empty = document.createElement('div');
+        empty.className = 'note';
+        empty.textContent = 'No joins are running.';
+        list.replaceChildren(empty);
+        return;
+    }
+    list.replaceChildren(...running.map(([friend_id, state]) => {
+        const row = document.createElement('div');
+        row.className = 'join-settings-running-row';
+        row.dataset.steamid = friend_id;
+        const name = document.createElement('span');
+        name.className = 'join-settings-running-name';
+        name.textContent = getJoinName(friend_id, state);
+        row.appendChild(name);
+        JoinSettings.JOIN_LIMIT_FIELDS.forEach(limit => {
+            row.appendChild(createField(limit, state.limits?.[limit] ?? null, `join-limit-${friend_id}`));
+        });
+        return row;
+    }));
+}
+
+/**
+ * Apply a changed limit input of a running join
+ * @param {HTMLInputElement} input
+ */
+function applyRunningLimit(input) {
+    const row = input.closest('.join-settings-running-row');
+    if (!row) return;
+    const name = input.dataset.setting;
+    const errors = JoinManager.setJoinLimits(row.dataset.steamid, { [name]: fromInputValue(name, input.value) });
+    showErrors(row, errors, $id('join-settings-running-error'));
+}
+
+/**
+ * Validate and save the global settings form
+ */
+async function save() {
+    const form = $id('join-settings-fields');
+    const values = {};
+    form.querySelectorAll('input[data-setting]').forEach(input => {
+        values[input.dataset.setting] = fromInputValue(input.dataset.setting, input.value);
+    });
+    const errors = await JoinSettings.set(values);
+    showErrors(form, errors, $id('join-settings-error'));
+    if (!Object.keys(errors).length) {
+        window.electronAPI.log('info', 'Join settings saved: ' + JSON.stringify(JoinSettings.get()));
+        close();
+    }
+}
+
+/**
+ * Fill the form with the default values without saving them
+ */
+function resetToDefaults() {
+    const form = $id('join-settings-fields');
+    if (!form) return;
+    form.querySelectorAll('input[data-setting]').forEach(input => {
+        const name = input.dataset.setting;
+        input.value = toInputValue(name, JoinSettings.FIELDS[name].default);
+        input.classList.remove('invalid-input');
+    });
+    $id('join-settings-error').textContent = '';
+}
+
+/**
+ * Open the settings panel
+ */
+function open() {
+    const panel = $id('join-settings');
+    if (!panel) return;
+    renderSettings();
+    renderRunningJoins();
+    $id('join-settings-running-error').textContent = '';
+    panel.style.display = 'flex';
+}
+
+/**
+ * Close the settings panel
+ */
+function close() {
+    const panel = $id('join-settings');
+    if (panel) panel.style.display = 'none';
+}
+
+/**
+ * Attach the settings panel event listeners
+ */
+function init() {
+    const openLink = $id('join-settings-link');
+    if (openLink) openLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        open();
+    });
+    const closeBtn = $id('join-settings-close');
+    if (closeBtn) closeBtn.addEventListener('click', close);
+    const saveBtn = $id('join-settings-save');
+    if (saveBtn) saveBtn.addEventListener('click', save);
+    const resetBtn = $id('join-settings-reset');
+    if (resetBtn) resetBtn.addEventListener('click', resetToDefaults);
+    const running = $id('join-settings-running');
+    if (running) running.addEventListener('change', (e) => {
+        if (e.target.matches('input[data-setting]')) applyRunningLimit(e.target);
+    });
+    document.addEventListener('keydown', (e) => {
+        const panel = $id('join-settings');
+        if (e.key === 'Escape' && panel && panel.style.display !== 'none') close();
+    });
+}
+
+// Public API for SettingsPanel
+const SettingsPanel = {
+    init,
+    open,
+    close
+};
+
+export default SettingsPanel;
@@ -0,0 +1,243 @@
+import SteamAPI from './steam-api.js';
+
+/**
+ * Status Poller module
+ * Merges every SteamID the app is interested in (friends list, join targets, own account)
+ * into one batched GetPlayerLinkDetails request per tick and fans the results out to subscribers
+ */
+
+// Lower bound for any subscription interval
+const MIN_INTERVAL_MS = 100;
+
+// Active subscriptions keyed by subscriber name
+const subscriptions = {};
+
+let currentAuth = '';
+let tickTimer = null;
+let tickInProgress = false;
+// Set while polling is paused, e.g. because the token expired
+let pausedAt = null;
+
+/**
+ * Set the API key or token used for polling
+ * @param {string} auth
+ */
+function setAuth(auth) {
+    currentAuth = auth || '';
+}
+
+/**
+ * Subscribe to status snapshots. Re-subscribing with the same key replaces the previous subscription.
+ * The first poll for a new subscription happens on the next tick.
+ * @param {string} key - Unique subscriber name
+ * @param {Array<string>} steamids - SteamIDs the subscriber wants statuses for
+ * @param {Function|null} callback - Called with each snapshot ({timestamp, statuses, failedIds, error, pausedMs})
+ *   pausedMs is how long polling was paused since the previous snapshot, so subscribers can extend their timers
+ * @param {number} interval_ms - How often the subscriber wants fresh data
+ *   Every tick covers all subscriptions, so a subscriber may get snapshots more often than this
+ */
+function subscribe(key, steamids, callback, interval_ms) {
+    const previous = subscriptions[key];
+    subscriptions[key] = {
+        steamids: [...new Set(steamids.map(String))],
+        callback,
+        interval: Math.max(MIN_INTERVAL_MS, interval_ms),
+        lastPolled: 0,
+        pausedMs: previous ? previous.pausedMs : 0,
+        waiters: previous ? previous.waiters : []
+    };
+    scheduleTick(0);
+}
+
+/**
+ * Change how often a subscription wants fresh data, keeping its schedule
+ * Unlike subscribing again, this does not poll right away unless the new interval is already due
+ * @param {string} key - Subscriber name
+ * @param {number} interval_ms
+ */
+function updateInterval(key, interval_ms) {
+    const sub = subscriptions[key];
+    if (!sub) return;
+    sub.interval = Math.max(MIN_INTERVAL_MS, interval_ms);
+    const delay = getNextDelay();
+    if (delay !== null) scheduleTick(delay);
+}
+
+/**
+ * Remove a subscription. Pending waiters are resolved with null.
+ * @param {string} key - Subscriber name
+ */
+function unsubscribe(key) {
+    const sub = subscriptions[key];
+    if (!sub) return;
+    delete subscriptions[key];
+    sub.waiters.forEach(resolve => resolve(null));
+    if (!Object.keys(subscriptions).length && tickTimer) {
+        clearTimeout(tickTimer);
+        tickTimer = null;
+    }
+}
+
+/**
+ * Check whether a subscription exists
+ * @param {string} key - Subscriber name
+ * @returns {boolean}
+ */
+function isSubscribed(key) {
+    return !!subscriptions[key];
+}
+
+/**
+ * Wait for the next snapshot delivered to a subscription
+ * @param {string} key - Subscriber name
+ * @returns {Promise<Object|null>} - Snapshot, or null if the subscription is removed
+ */
+function waitForSnapshot(key) {
+    const sub = subscriptions[key];
+    if (!sub) return Promise.resolve(null);
+    return new Promise(resolve => sub.waiters.push(resolve));
+}
+
+/**
+ * Schedule the next tick, unless a request is already in flight
+ * @param {number} delay_ms
+ */
+function scheduleTick(delay_ms) {
+    if (tickInProgress || pausedAt) return;
+    if (tickTimer) clearTimeout(tickTimer);
+    tickTimer = setTimeout(tick, Math.max(0, delay_ms));
+}
+
+/**
+ * Get the delay until the next subscription becomes due
+ * @returns {number|null} - Delay in milliseconds, or null if there are no subscriptions
+ */
+function getNextDelay() {
+    const subs = Object.values(subscriptions);
+    if (!subs.length) return null;
+    const now = Date.now();
+    return Math.min(...subs.map(sub => sub.lastPolled + sub.interval - now));
+}
+
+/**
+ * Deliver a snapshot to a subscriber
+ * @param {Object} sub - Subscription
+ * @param {Object} snapshot
+ */
+function deliver(sub, snapshot) {
+    if (typeof sub.callback === 'function') {
+        try {
+            sub.callback(snapshot);
+        } catch (error) {
+            console.error("Status poller subscriber failed:", error);
+        }
+    }
+    const waiters = sub.waiters.splice(0);
+    waiters.forEach(resolve => resolve(snapshot));
+}
+
+/**
+ * Once any subscription is due, poll the ids of every subscription with a single batched request
+ * and deliver the snapshot to all of them, so subscriptions started at different moments share requests
+ */
+async function tick() {
+    tickTimer = null;
+    tickInProgress = true;
+    try {
+        const now = Date.now();
+        const entries = Object.entries(subscriptions);
+        if (!entries.some(([, sub]) => now - sub.lastPolled >= sub.interval)) return;
+        entries.forEach(([, sub]) => { sub.lastPolled = now; });
+
+        const steamids = [...new Set(entries.flatMap(([, sub]) => sub.steamids))];
+        const statuses = {};
+        let failed = new Set();
+        let error = null;
+        if (!currentAuth) {
+            error = new Error('Missing API Key or token');
+            failed = new Set(steamids);
+        } else {
+            try {
+                const result = await SteamAPI.getPlayerLinkDetails(steamids, currentAuth);
+                for (const acc of result.accounts) {
+                    const status = SteamAPI.toFriendStatus(acc);
+                    if (status.steamid) statuses[status.steamid] = status;
+                }
+                failed = new Set(result.failedIds);
+                error = result.error;
+            } catch (err) {
+                error = err;
+                failed = new Set(steamids);
+            }
+        }
+
+        const timestamp = Date.now();
+        for (const [key, sub] of entries) {
+            // Skip subscribers that were removed or replaced while the request was in flight
+            if (subscriptions[key] !== sub) continue;
+            const own = {};
+            const failedIds = sub.steamids.filter(sid => failed.has(sid));
+            for (const sid of sub.steamids) {
+                if (statuses[sid]) own[sid] = statuses[sid];
+            }
+            // The error is only reported to subscribers that got no data at all
+            const subError = failedIds.length && failedIds.length === sub.steamids.length ? error : null;
+            const pausedMs = sub.pausedMs;
+            sub.pausedMs = 0;
+            deliver(sub, { timestamp, statuses: own, failedIds, error: subError, pausedMs });
+        }
+    } finally {
+        tickInProgress = false;
+        const delay = getNextDelay();
+        if (delay !== null) scheduleTick(delay);
+    }
+}
+
+/**
+ * Stop polling while keeping every subscription and its pending waiters
+ */
+function pause() {
+    if (pausedAt) return;
+    pausedAt = Date.now();
+    if (tickTimer) {
+        clearTimeout(tickTimer);
+        tickTimer = null;
+    }
+}
+
+/**
+ * Resume polling. Every subscription is polled right away and told how long the pause lasted.
+ */
+function resume() {
+    if (!pausedAt) return;
+    const pausedMs = Date.now() - pausedAt;
+    pausedAt = null;
+    Object.values(subscriptions).forEach(sub => {
+        sub.pausedMs += pausedMs;
+        sub.lastPolled = 0;
+    });
+    if (Object.keys(subscriptions).length) scheduleTick(0);
+}
+
+/**
+ * Check whether polling is paused
+ * @returns {boolean}
+ */
+function isPaused() {
+    return !!pausedAt;
+}
+
+// Public API for StatusPoller
+const StatusPoller = {
+    setAuth,
+    subscribe,
+    updateInterval,
+    unsubscribe,
+    isSubscribed,
+    waitForSnapshot,
+    pause,
+    resume,
+    isPaused
+};
+
+export default StatusPoller;
@@ -1,10 +1,36 @@
+import SteamErrors from './steam-errors.js';
+import KeyValues from './key-values.js';
+import GameModes from './game-modes.js';
+
 /**
  * Steam API client module
  * Handles all interactions with the Steam API
  */
 
+const {
+    SteamApiError,
+    SteamAuthError,
+    SteamPrivacyError,
+    SteamRateLimitError,
+    SteamNetworkError,
+    SteamServerError
+} = SteamErrors;
+
 const STEAM_API_BASE = "https://api.steampowered.com";
 
+// Request layer defaults
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_RETRIES = 2;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 8000;
+// Longest Retry-After we are willing to wait inside a single request
+const MAX_RETRY_AFTER_MS = 30000;
+
+// Batching of multi-id lookups: ids per request and requests in flight at once
+const LINK_DETAILS_CHUNK_SIZE = 50;
+const SUMMARIES_CHUNK_SIZE = 100;
+const CHUNK_CONCURRENCY = 3;
+
 /**
  * Return true if the string is a JWT-like webapi_token
  * @param {string} keyOrToken
@@ -14,80 +40,367 @@ function isWebApiToken(keyOrToken) {
     return /^[\w-]+\.[\w-]+\.[\w-]+$/.test(keyOrToken);
 }
 
+/**
+ * Add the API key or token to request parameters
+ * @param {URLSearchParams} params
+ * @param {string} auth
+ */
+function appendAuth(params, auth) {
+    if (isWebApiToken(auth)) {
+        params.append("access_token", auth);
+    } else {
+        params.append("key", auth);
+    }
+}
+
+/**
+ * Exponential backoff with jitter: half of the delay is fixed, the other half random
+ * @param {number} attempt - Zero-based retry number
+ * @returns {number} - Delay in milliseconds
+ */
+function getBackoffDelay(attempt) {
+    const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+    return delay / 2 + Math.random() * delay / 2;
+}
+
+/**
+ * Parse a Retry-After header given in seconds or as an HTTP date
+ * @param {string|null} value
+ * @returns {number|null} - Delay in milliseconds
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Wait for a delay, stopping early if the signal is aborted
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Convert an unsuccessful response into a typed error
+ * @param {Response} resp
+ * @returns {SteamApiError}
+ */
+function errorFromResponse(resp) {
+    const status = resp.status;
+    const text = `${status}${resp.statusText ? ' ' + resp.statusText : ''}`;
+    if (status === 401 || status === 403) {
+        return new SteamAuthError(`Steam rejected the API Key or token (${text})`, { status });
+    }
+    if (status === 429) {
+        return new SteamRateLimitError(`Steam API rate limit reached (${text})`, {
+            retryAfterMs: parseRetryAfter(resp.headers?.get?.('Retry-After'))
+        });
+    }
+    if (status >= 500) {
+        return new SteamServerError(`Steam API server error (${text})`, { status });
+    }
+    return new SteamApiError(`Steam API request failed (${text})`, { status });
+}
+
+/**
+ * Make a single request with a timeout
+ * @param {string} url
+ * @param {number} timeoutMs
+ * @param {AbortSignal} [signal] - Caller's signal, aborting it cancels the request without retries
+ * @returns {Promise<Object>} - Parsed JSON body
+ */
+async function requestOnce(url, timeoutMs, signal) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    let resp;
+    try {
+        resp = await fetch(url, { signal: controller.signal });
+    } catch (error) {
+        if (signal?.aborted) throw signal.reason;
+        if (controller.signal.aborted) {
+            throw new SteamNetworkError(`Steam API request timed out after ${timeoutMs} ms`, { timedOut: true });
+        }
+        throw new SteamNetworkError(`Could not reach the Steam API: ${error.message}`);
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+    if (!resp.ok) throw errorFromResponse(resp);
+    try {
+        return await resp.json();
+    } catch (error) {
+        throw new SteamServerError('Steam API returned an invalid response', { status: resp.status });
+    }
+}
+
+/**
+ * Shared request layer: timeouts, retries with backoff and rate-limit handling
+ * @param {string} path - API path, e.g. "/IPlayerService/GetPlayerLinkDetails/v1/"
+ * @param {URLSearchParams} params - Query parameters including auth
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs]
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object>} - Parsed JSON body
+ */
+async function steamRequest(path, params, { timeoutMs = REQUEST_TIMEOUT_MS, retries = MAX_RETRIES, signal } = {}) {
+    const url = `${STEAM_API_BASE}${path}?${params.toString()}`;
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await requestOnce(url, timeoutMs, signal);
+        } catch (error) {
+            if (!(error instanceof SteamApiError) || !error.retryable || attempt >= retries) throw error;
+            let delay = getBackoffDelay(attempt);
+            if (error instanceof SteamRateLimitError && error.retryAfterMs !== null) {
+                if (error.retryAfterMs > MAX_RETRY_AFTER_MS) throw error;
+                delay = Math.max(delay, error.retryAfterMs);
+            }
+            console.warn(`[SteamAPI] ${path} failed (${error.message}), retry ${attempt + 1}/${retries} in ${Math.round(delay)} ms`);
+            await sleep(delay, signal);
+        }
+    }
+}
 
 /**
  * Get the user's friends list
  * @param {string} steam_id
  * @param {string} auth
  * @returns {Promise<Array<string>>}
+ * @throws {SteamPrivacyError} If the friends list is private or empty
  */
 async function getFriendsList(steam_id, auth) {
-    const isToken = isWebApiToken(auth);
-    if (isToken) {
-        let url = `${STEAM_API_BASE}/IFriendsListService/GetFriendsList/v1/?access_token=${encodeURIComponent(auth)}`;
-        const resp = await fetch(url);
-        if (!resp.ok) throw new Error(`API_ERROR_${resp.status}`);
-        const data = await resp.json();
+    const params = new URLSearchParams();
+    appendAuth(params, auth);
+    if (isWebApiToken(auth)) {
+        const data = await steamRequest('/IFriendsListService/GetFriendsList/v1/', params);
         if (!data.response || !data.response.friendslist || !Array.isArray(data.response.friendslist.friends)) {
-            throw new Error('EMPTY_FRIENDS_LIST');
+            throw new SteamPrivacyError('Friends list is empty or private');
         }
         return data.response.friendslist.friends.map(f => f.ulfriendid);
-    } else {
-        let url = `${STEAM_API_BASE}/ISteamUser/GetFriendList/v1/?steamid=${encodeURIComponent(steam_id)}&relationship=friend&key=${encodeURIComponent(auth)}`;
-        const resp = await fetch(url);
-        if (resp.status === 401) throw new Error('PRIVATE_FRIENDS_LIST');
-        if (!resp.ok) throw new Error(`API_ERROR_${resp.status}`);
-        const data = await resp.json();
-        if (!data.friendslist || !data.friendslist.friends) throw new Error('EMPTY_FRIENDS_LIST');
-        return data.friendslist.friends.map(f => f.steamid);
     }
+    params.append("steamid", steam_id);
+    params.append("relationship", "friend");
+    let data;
+    try {
+        data = await steamRequest('/ISteamUser/GetFriendList/v1/', params);
+    } catch (error) {
+        // The key-based endpoint answers 401 for private friends lists
+        if (error instanceof SteamAuthError && error.status === 401) {
+            throw new SteamPrivacyError('Friends list is private', { status: 401 });
+        }
+        throw error;
+    }
+    if (!data.friendslist || !data.friendslist.friends) throw new SteamPrivacyError('Friends list is empty or private');
+    return data.friendslist.friends.map(f => f.steamid);
+}
+
+/**
+ * Split SteamIDs into chunks and fetch them with bounded concurrency
+ * Results are merged in the order of the input ids, whatever order the chunks finish in
+ * @param {Array<string>} steamids - Unique SteamIDs
+ * @param {number} chunkSize
+ * @param {Function} fetchChunk - Async (chunk) => Array of items for that chunk
+ * @param {Function} getItemId - Returns the SteamID of an item
+ * @returns {Promise<{items: Array, failedIds: Array<string>, error: Error|null}>}
+ *   error is the first chunk failure; it is thrown instead if every chunk failed
+ */
+async function fetchInChunks(steamids, chunkSize, fetchChunk, getItemId) {
+    const chunks = [];
+    for (let i = 0; i < steamids.length; i += chunkSize) {
+        chunks.push(steamids.slice(i, i + chunkSize));
+    }
+    const outcomes = new Array(chunks.length);
+    let next = 0;
+    async function worker() {
+        while (next < chunks.length) {
+            const index = next++;
+            try {
+                outcomes[index] = { items: await fetchChunk(chunks[index]) };
+            } catch (error) {
+                outcomes[index] = { error };
+            }
+        }
+    }
+    await Promise.all(Array.from({ length: Math.min(CHUNK_CONCURRENCY, chunks.length) }, worker));
+
+    const byId = {};
+    const failedIds = [];
+    let error = null;
+    outcomes.forEach((outcome, index) => {
+        if (outcome.error) {
+            error = error || outcome.error;
+            failedIds.push(...chunks[index]);
+            return;
+        }
+        for (const item of outcome.items) {
+            const sid = getItemId(item);
+            if (sid) byId[sid] = item;
+        }
+    });
+    if (failedIds.length === steamids.length) throw error;
+    if (error) {
+        console.warn(`[SteamAPI] ${failedIds.length} of ${steamids.length} ids failed: ${error.message}`);
+    }
+    const items = steamids.filter(sid => byId[sid]).map(sid => byId[sid]);
+    return { items, failedIds, error };
 }
 
 /**
- * Fetch player summaries for up to 100 SteamIDs at a time
+ * Normalize a SteamID argument into a list of unique string ids
+ * @param {Array<string>|string} steamids
+ * @returns {Array<string>}
+ */
+function toSteamIdList(steamids) {
+    if (!steamids) return [];
+    if (typeof steamids === "string") return [steamids];
+    if (!Array.isArray(steamids)) throw new Error("steamids must be an array or string");
+    return [...new Set(steamids.map(String))];
+}
+
+/**
+ * Fetch player summaries in chunks of 100 SteamIDs
  * @param {Array<string>|string} steamids
  * @param {string} auth
- * @returns {Promise<Object>}
+ * @returns {Promise<{players: Object, failedIds: Array<string>, error: Error|null}>}
+ *   players maps SteamID to summary; failedIds lists ids whose chunk failed
+ * @throws {SteamApiError} If every chunk failed
  */
 async function getPlayerSummaries(steamids, auth) {
     const isToken = isWebApiToken(auth);
-    if (!Array.isArray(steamids)) {
-        if (typeof steamids === "string" && steamids.length > 0) {
-            steamids = [steamids];
-        } else if (!steamids) {
-            return {};
-        } else {
-            throw new Error("steamids must be an array or string");
-        }
-    }
-    if (!steamids.length) return {};
-    const result = {};
-    for (let i = 0; i < steamids.length; i += 100) {
-        const chunk = steamids.slice(i, i + 100).map(String);
-        let url;
-        if (isToken) {
-            url = `${STEAM_API_BASE}/ISteamUserOAuth/GetUserSummaries/v1/?access_token=${encodeURIComponent(auth)}&steamids=${chunk.join(',')}`;
-        } else {
-            url = `${STEAM_API_BASE}/ISteamUser/GetPlayerSummaries/v2/?key=${encodeURIComponent(auth)}&steamids=${chunk.join(',')}`;
-        }
-        const resp = await fetch(url);
-        if (!resp.ok) continue;
-        const data = await resp.json();
-        let players = [];
+    const ids = toSteamIdList(steamids);
+    if (!ids.length) return { players: {}, failedIds: [], error: null };
+    const path = isToken ? '/ISteamUserOAuth/GetUserSummaries/v1/' : '/ISteamUser/GetPlayerSummaries/v2/';
+    const { items, failedIds, error } = await fetchInChunks(ids, SUMMARIES_CHUNK_SIZE, async (chunk) => {
+        const params = new URLSearchParams();
+        appendAuth(params, auth);
+        params.append("steamids", chunk.join(','));
+        const data = await steamRequest(path, params);
         if (isToken) {
-            if (Array.isArray(data.players)) {
-                players = data.players;
-            }
-        } else {
-            if (data.response && Array.isArray(data.response.players)) {
-                players = data.response.players;
-            }
-        }
-        for (const player of players) {
-            result[player.steamid] = player;
+            return Array.isArray(data.players) ? data.players : [];
         }
+        return data.response && Array.isArray(data.response.players) ? data.response.players : [];
+    }, player => player.steamid);
+    const players = {};
+    for (const player of items) {
+        players[player.steamid] = player;
     }
-    return result;
+    return { players, failedIds, error };
+}
+
+/**
+ * Fetch raw GetPlayerLinkDetails accounts, split into chunks to keep request URLs short
+ * @param {Array<string>} steamids
+ * @param {string} auth
+ * @returns {Promise<{accounts: Array, failedIds: Array<string>, error: Error|null}>}
+ *   accounts follow the order of steamids; failedIds lists ids whose chunk failed
+ * @throws {SteamApiError} If every chunk failed
+ */
+async function getPlayerLinkDetails(steamids, auth) {
+    const ids = toSteamIdList(steamids);
+    if (!ids.length) return { accounts: [], failedIds: [], error: null };
+    const { items, failedIds, error } = await fetchInChunks(ids, LINK_DETAILS_CHUNK_SIZE, async (chunk) => {
+        const params = new URLSearchParams();
+        appendAuth(params, auth);
+        chunk.forEach((sid, idx) => params.append(`steamids[${idx}]`, sid));
+        const data = await steamRequest('/IPlayerService/GetPlayerLinkDetails/v1/', params);
+        return (data.response && data.response.accounts) ? data.response.accounts : [];
+    }, acc => (acc.public_data || {}).steamid);
+    return { accounts: items, failedIds, error };
+}
+
+/**
+ * @typedef {Object} FriendStatus
+ * @property {string} steamid
+ * @property {string} personaname
+ * @property {string} avatar - Full avatar URL, if known
+ * @property {boolean} in_game - Whether the friend is running CS2
+ * @property {string} status - Human readable rich presence status
+ * @property {string} display - steam_display localization token
+ * @property {string} game_mode - game:mode, e.g. "casual"
+ * @property {string} game_state - game:state, e.g. "lobby" or "game"
+ * @property {string} game_act - game:act
+ * @property {string} game_server - game:server, the server type
+ * @property {string} game_map - game:map
+ * @property {string} game_score - game:score
+ * @property {number|null} num_players - members:numPlayers, players on the server
+ * @property {string|null} party_id - steam_player_group, shared by friends in the same party
+ * @property {number} party_size - steam_player_group_size, 0 when not in a party
+ * @property {string|null} game_server_steam_id
+ * @property {string} connect - Connect string, "+gcconnect..." when joinable
+ * @property {boolean} can_join - In a match of a joinable mode that is past the lobby
+ * @property {boolean} join_available - can_join and a usable connect string
+ * @property {Object<string, string>} rich_presence - Every rich presence key Steam sent
+ */
+
+/**
+ * Parse a numeric rich presence value
+ * @param {string|undefined} value
+ * @returns {number|null}
+ */
+function toCount(value) {
+    const n = parseInt(value, 10);
+    return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+/**
+ * Convert a GetPlayerLinkDetails account into a friend status object
+ * @param {Object} acc - Account entry from GetPlayerLinkDetails
+ * @param {Object} [avatarMap] - Map of SteamID to player summary / saved avatar
+ * @returns {FriendStatus}
+ */
+function toFriendStatus(acc, avatarMap = {}) {
+    const priv = acc.private_data || {};
+    const pub = acc.public_data || {};
+    const rp = parseRichPresence(priv.rich_presence_kv || "");
+    const in_game = priv.game_id === "730";
+    const game_mode = rp["game:mode"] || "";
+    const game_state = rp["game:state"] || "";
+    const connect_val = rp.connect || "";
+    const can_join = in_game && GameModes.isJoinable(game_mode) && !["", "lobby"].includes(game_state);
+    const join_available = can_join && connect_val.startsWith("+gcconnect");
+    const steamid = pub.steamid || "";
+    const avatar = avatarMap[steamid]?.avatarfull || avatarMap[steamid]?.avatar || "";
+    return {
+        steamid,
+        personaname: pub.persona_name || "",
+        avatar,
+        in_game,
+        status: rp.status || "",
+        display: rp.steam_display || "",
+        game_mode,
+        game_state,
+        game_act: rp["game:act"] || "",
+        game_server: rp["game:server"] || "",
+        game_map: rp["game:map"] || "",
+        game_score: rp["game:score"] || "",
+        num_players: toCount(rp["members:numPlayers"]),
+        party_id: rp.steam_player_group || null,
+        party_size: toCount(rp.steam_player_group_size) || 0,
+        game_server_steam_id: rp.game_server_steam_id || priv.game_server_steam_id || null,
+        connect: connect_val,
+        can_join,
+        join_available,
+        rich_presence: rp
+    };
 }
 
 /**
@@ -95,60 +408,25 @@ async function getPlayerSummaries(steamids, auth) {
  * @param {Array<string>} friend_ids
  * @param {string} auth
  * @param {Object} [avatarsCache]
- * @returns {Promise<Array>}
+ * @returns {Promise<{friends: Array<FriendStatus>, failedIds: Array<string>}>}
+ *   friends lists those running CS2; failedIds lists ids whose status could not be fetched
+ * @throws {SteamApiError} If every request failed
  */
 async function getFriendsStatuses(friend_ids, auth, avatarsCache = {}) {
-    const isToken = isWebApiToken(auth);
-    if (!friend_ids.length) return [];
+    if (!friend_ids.length) return { friends: [], failedIds: [] };
     try {
-        const params = new URLSearchParams();
-        if (isToken) {
-            params.append("access_token", auth);
-        } else {
-            params.append("key", auth);
-        }
-        friend_ids.forEach((sid, idx) => params.append(`steamids[${idx}]`, sid));
-        const url = `${STEAM_API_BASE}/IPlayerService/GetPlayerLinkDetails/v1/?${params.toString()}`;
-        const resp = await fetch(url);
-        if (!resp.ok) throw new Error(`Failed to fetch player link details: ${resp.status} ${resp.statusText}`);
-        const data = await resp.json();
-        const accounts = (data.response && data.response.accounts) ? data.response.accounts : [];
+        const { accounts, failedIds } = await getPlayerLinkDetails(friend_ids, auth);
 
         let avatarMap = avatarsCache;
         if (!avatarMap || Object.keys(avatarMap).length === 0) {
             const steamids = accounts.map(acc => (acc.public_data || {}).steamid).filter(Boolean);
-            avatarMap = await getPlayerSummaries(steamids, auth);
+            avatarMap = (await getPlayerSummaries(steamids, auth)).players;
         }
 
-        return accounts
-            .filter(acc => (acc.private_data || {}).game_id === "730")
-            .map(acc => {
-                const priv = acc.private_data || {};
-                const pub = acc.public_data || {};
-                const rich_presence_kv = priv.rich_presence_kv || "";
-                const rp = parseRichPresence(rich_presence_kv);
-                const status_str = rp.status || "";
-                const game_server_id = rp.game_server_steam_id;
-                const game_map = rp.game_map || "";
-                const game_score = rp.game_score || "";
-                const connect_val = rp.connect || "";
-                const can_join = rp.game_mode === "casual" && !["", null, "lobby"].includes(rp.game_state);
-                const join_available = can_join && connect_val.startsWith("+gcconnect");
-                const steamid = pub.steamid || "";
-                const avatar = avatarMap[steamid]?.avatarfull || avatarMap[steamid]?.avatar || "";
-                return {
-                    steamid,
-                    personaname: pub.persona_name || "",
-                    status: status_str,
-                    can_join,
-                    join_available,
-                    game_map,
-                    game_score,
-                    game_server_steam_id: game_server_id,
-                    connect: connect_val,
-                    avatar
-                };
-            });
+        const friends = accounts
+            .map(acc => toFriendStatus(acc, avatarMap))
+            .filter(friend => friend.in_game);
+        return { friends, failedIds };
     } catch (error) {
         console.error("Error fetching friend statuses:", error);
         throw error;
@@ -159,96 +437,45 @@ async function getFriendsStatuses(friend_ids, auth, avatarsCache = {}) {
  * Get connect information for a specific friend
  * @param {string} friend_id
  * @param {string} auth
- * @returns {Promise<string|null>}
+ * @returns {Promise<string|null>} - Connect string, or null if the friend is not in a joinable match
+ * @throws {SteamApiError} If the request fails
  */
 async function getFriendConnectInfo(friend_id, auth) {
-    const isToken = isWebApiToken(auth);
-    try {
-        const params = new URLSearchParams();
-        if (isToken) {
-            params.append("access_token", auth);
-        } else {
-            params.append("key", auth);
-        }
-        params.append("steamids[0]", friend_id);
-        const url = `${STEAM_API_BASE}/IPlayerService/GetPlayerLinkDetails/v1/?${params.toString()}`;
-        const resp = await fetch(url);
-        if (!resp.ok) return null;
-        const data = await resp.json();
-        const accounts = (data.response && data.response.accounts) ? data.response.accounts : [];
-        if (!accounts.length) return null;
-        const priv = accounts[0].private_data || {};
-        if (priv.game_id !== "730") return null;
-        const rp = parseRichPresence(priv.rich_presence_kv || "");
-        if (rp.game_mode === "casual" && !["", null, "lobby"].includes(rp.game_state)) {
-            return rp.connect;
-        }
-        return null;
-    } catch (error) {
-        console.error("Error fetching connect info:", error);
-        return null;
-    }
+    const { accounts } = await getPlayerLinkDetails([friend_id], auth);
+    if (!accounts.length) return null;
+    const friend = toFriendStatus(accounts[0]);
+    return friend.can_join ? friend.connect : null;
 }
 
 /**
  * Get the game server Steam ID for a user
  * @param {string} steam_id
  * @param {string} auth
- * @returns {Promise<string|null>}
+ * @returns {Promise<string|null>} - Server Steam ID, or null if the user is not on a server
+ * @throws {SteamApiError} If the request fails
  */
 async function getUserGameServerSteamId(steam_id, auth) {
-    const isToken = isWebApiToken(auth);
-    try {
-        const params = new URLSearchParams();
-        if (isToken) {
-            params.append("access_token", auth);
-        } else {
-            params.append("key", auth);
-        }
-        params.append("steamids[0]", steam_id);
-        const url = `${STEAM_API_BASE}/IPlayerService/GetPlayerLinkDetails/v1/?${params.toString()}`;
-        const resp = await fetch(url);
-        if (!resp.ok) return null;
-        const data = await resp.json();
-        const accounts = (data.response && data.response.accounts) ? data.response.accounts : [];
-        if (!accounts.length) return null;
-        const priv = accounts[0].private_data || {};
-        const rp = parseRichPresence(priv.rich_presence_kv || "");
-        return rp.game_server_steam_id || priv.game_server_steam_id;
-    } catch (error) {
-        console.error("Error fetching server ID:", error);
-        return null;
-    }
+    const { accounts } = await getPlayerLinkDetails([steam_id], auth);
+    if (!accounts.length) return null;
+    return toFriendStatus(accounts[0]).game_server_steam_id;
 }
 
 /**
  * Resolve vanity URL to SteamID64
  * @param {string} vanityUrl
  * @param {string} auth
- * @returns {Promise<string|null>}
+ * @returns {Promise<string|null>} - SteamID64, or null if no profile uses the vanity URL
+ * @throws {SteamApiError} If the request fails
  */
 async function resolveVanityUrl(vanityUrl, auth) {
-    const isToken = isWebApiToken(auth);
-    try {
-        const params = new URLSearchParams();
-        if (isToken) {
-            params.append("access_token", auth);
-        } else {
-            params.append("key", auth);
-        }
-        params.append("vanityurl", vanityUrl);
-        const url = `${STEAM_API_BASE}/ISteamUser/ResolveVanityURL/v1/?${params.toString()}`;
-        const resp = await fetch(url);
-        if (!resp.ok) return null;
-        const data = await resp.json();
-        if (data.response && data.response.success === 1) {
-            return data.response.steamid;
-        }
-        return null;
-    } catch (error) {
-        console.error("Error resolving vanity URL:", error);
-        return null;
+    const params = new URLSearchParams();
+    appendAuth(params, auth);
+    params.append("vanityurl", vanityUrl);
+    const data = await steamRequest('/ISteamUser/ResolveVanityURL/v1/', params);
+    if (data.response && data.response.success === 1) {
+        return data.response.steamid;
     }
+    return null;
 }
 
 /**
@@ -301,30 +528,25 @@ function parseWebApiToken(token) {
 
 /**
  * Parse Rich Presence data from Steam
- * @param {string} kv - Key-value string from Steam rich presence
- * @returns {Object} - Parsed rich presence fields
+ * The wrapping root block (e.g. "RP") is unwrapped and nested blocks are flattened,
+ * so every key Steam sends is returned as is, e.g. "status", "game:map", "members:numPlayers"
+ * @param {string} kv - KeyValues text from Steam rich presence
+ * @returns {Object<string, string>} - All rich presence keys
  */
 function parseRichPresence(kv) {
-    function extract(key) {
-        const re = new RegExp('"' + key.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&') + '"\\s+"([^"]+)"');
-        const m = kv.match(re);
-        return m ? m[1] : null;
+    let root = KeyValues.parse(kv);
+    const rootKeys = Object.keys(root);
+    if (rootKeys.length === 1 && root[rootKeys[0]] && typeof root[rootKeys[0]] === 'object') {
+        root = root[rootKeys[0]];
     }
-    return {
-        status: extract("status"),
-        game_state: extract("game:state"),
-        game_mode: extract("game:mode"),
-        game_map: extract("game:map"),
-        game_score: extract("game:score"),
-        connect: extract("connect"),
-        game_server_steam_id: extract("game_server_steam_id"),
-    };
+    return KeyValues.flatten(root);
 }
 
-
 const SteamAPI = {
     getFriendsList,
     getPlayerSummaries,
+    getPlayerLinkDetails,
+    toFriendStatus,
     getFriendsStatuses,
     getFriendConnectInfo,
     getUserGameServerSteamId,
@@ -332,7 +554,8 @@ const SteamAPI = {
     extractTokenIfAny,
     extractApiKeyOrToken,
     parseWebApiToken,
-    parseRichPresence
+    parseRichPresence,
+    steamRequest
 };
 
 export default SteamAPI;
@@ -0,0 +1,102 @@
+/**
+ * Steam API errors module
+ * Typed errors thrown by the Steam API client so callers can tell failures apart
+ */
+
+/**
+ * Base class for all Steam API failures
+ */
+class SteamApiError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [details]
+     * @param {number} [details.status] - HTTP status, if a response was received
+     * @param {boolean} [details.retryable] - Whether repeating the request may succeed
+     */
+    constructor(message, { status = null, retryable = false } = {}) {
+        super(message);
+        this.name = 'SteamApiError';
+        this.kind = 'unknown';
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
+
+/**
+ * The API key or token was rejected (401/403)
+ */
+class SteamAuthError extends SteamApiError {
+    constructor(message = 'Invalid or expired Steam Web API Token / Key', details = {}) {
+        super(message, details);
+        this.name = 'SteamAuthError';
+        this.kind = 'auth';
+    }
+}
+
+/**
+ * The requested data is hidden by the user's privacy settings
+ */
+class SteamPrivacyError extends SteamApiError {
+    constructor(message = 'Friends list is private', details = {}) {
+        super(message, details);
+        this.name = 'SteamPrivacyError';
+        this.kind = 'privacy';
+    }
+}
+
+/**
+ * Steam answered with 429 Too Many Requests
+ */
+class SteamRateLimitError extends SteamApiError {
+    /**
+     * @param {string} [message]
+     * @param {Object} [details]
+     * @param {number|null} [details.retryAfterMs] - Wait requested by the Retry-After header
+     */
+    constructor(message = 'Steam API rate limit reached', { retryAfterMs = null, ...details } = {}) {
+        super(message, { status: 429, retryable: true, ...details });
+        this.name = 'SteamRateLimitError';
+        this.kind = 'rate-limit';
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * The request did not reach Steam or timed out
+ */
+class SteamNetworkError extends SteamApiError {
+    /**
+     * @param {string} [message]
+     * @param {Object} [details]
+     * @param {boolean} [details.timedOut] - Whether the request was aborted by the timeout
+     */
+    constructor(message = 'Could not reach the Steam API', { timedOut = false, ...details } = {}) {
+        super(message, { retryable: true, ...details });
+        this.name = 'SteamNetworkError';
+        this.kind = 'network';
+        this.timedOut = timedOut;
+    }
+}
+
+/**
+ * Steam failed to process the request (5xx or malformed response)
+ */
+class SteamServerError extends SteamApiError {
+    constructor(message = 'Steam API server error', details = {}) {
+        super(message, { retryable: true, ...details });
+        this.name = 'SteamServerError';
+        this.kind = 'server';
+    }
+}
+
+// Public API for SteamErrors
+const SteamErrors = {
+    SteamApiError,
+    SteamAuthError,
+    SteamPrivacyError,
+    SteamRateLimitError,
+    SteamNetworkError,
+    SteamServerError
+};
+
+export default SteamErrors;
@@ -0,0 +1,122 @@
+/**
+ * Token Monitor module
+ * Follows the expiry of the Steam Web API token in use: live countdown,
+ * a warning shortly before expiry, and callbacks when it expires or a fresh token replaces it
+ */
+
+// Warn this long before the token expires
+const WARNING_BEFORE_MS = 10 * 60 * 1000;
+// Treat the token as expired slightly early, so updates pause before Steam starts rejecting requests
+const EXPIRY_MARGIN_MS = 30 * 1000;
+const TICK_MS = 1000;
+
+let tokenInfo = null;
+let timer = null;
+let warned = false;
+let expired = false;
+let handlers = {};
+
+/**
+ * Get how long the tracked token stays valid
+ * @returns {number|null} - Milliseconds, 0 once expired, or null if no token is tracked
+ */
+function getRemainingMs() {
+    if (!tokenInfo || !tokenInfo.expires) return null;
+    return Math.max(0, tokenInfo.expires * 1000 - EXPIRY_MARGIN_MS - Date.now());
+}
+
+/**
+ * Format a remaining time, e.g. "23h 05m" or "9m 30s"
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatRemaining(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    if (hours) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+}
+
+function call(name, ...args) {
+    if (typeof handlers[name] === 'function') handlers[name](...args);
+}
+
+function tick() {
+    const remaining = getRemainingMs();
+    if (remaining === null) return;
+    call('onTick', remaining);
+    if (remaining === 0) {
+        if (!expired) {
+            expired = true;
+            call('onExpired', tokenInfo);
+        }
+        return;
+    }
+    if (!warned && remaining <= WARNING_BEFORE_MS) {
+        warned = true;
+        call('onExpiring', tokenInfo, remaining);
+    }
+}
+
+/**
+ * Set the lifecycle callbacks
+ * @param {{onTick?: Function, onExpiring?: Function, onExpired?: Function, onRenewed?: Function}} callbacks
+ *   onTick(remainingMs) every second; onExpiring(info, remainingMs) once per token;
+ *   onExpired(info) once per token; onRenewed(info) when a valid token follows an expired one
+ */
+function init(callbacks) {
+    handlers = callbacks || {};
+}
+
+/**
+ * Track a token, or stop tracking with null. Tracking the same token again changes nothing.
+ * After an expiry the monitor keeps waiting for a fresh token, even while no token is tracked.
+ * @param {{steamid: string, expires: number, expiresDate: Date}|null} info - Result of SteamAPI.parseWebApiToken
+ */
+function track(info) {
+    const token = info && info.expires ? info : null;
+    if (token && tokenInfo && token.expires === tokenInfo.expires && token.steamid === tokenInfo.steamid) return;
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+    tokenInfo = token;
+    warned = false;
+    if (!token) return;
+    const wasExpired = expired;
+    expired = false;
+    timer = setInterval(tick, TICK_MS);
+    tick();
+    if (wasExpired && !expired) call('onRenewed', token);
+}
+
+/**
+ * Forget an expiry without a fresh token, e.g. when the user switches to an API key or another profile
+ */
+function reset() {
+    track(null);
+    expired = false;
+}
+
+/**
+ * Check whether the tracked token has expired
+ * @returns {boolean}
+ */
+function isExpired() {
+    return expired;
+}
+
+// Public API for TokenMonitor
+const TokenMonitor = {
+    WARNING_BEFORE_MS,
+    init,
+    track,
+    reset,
+    isExpired,
+    getRemainingMs,
+    formatRemaining
+};
+
+export default TokenMonitor;
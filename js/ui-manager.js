@@ -1,4 +1,13 @@
 import JoinManager from './join-manager.js';
+import Preferences from './preferences.js';
+import SteamErrors from './steam-errors.js';
+import MatchInfo from './match-info.js';
+import GameModes from './game-modes.js';
+import FriendQuery from './friend-query.js';
+import SavedViews from './saved-views.js';
+import WatchList from './watch-list.js';
+import Favourites from './favourites.js';
+import { html, setHtml, toMarkup } from './html.js';
 
 let lastRenderedFriends = []; // <-- добавьте это в начало файла (после импортов)
 
@@ -10,12 +19,43 @@ let lastRenderedFriends = []; // <-- добавьте это в начало ф
 // Utility: Get element by ID
 const $id = (id) => document.getElementById(id);
 
+// Friend cards by Steam ID, kept between renders so only the parts that changed are patched
+const friendCards = new Map();
+// Pending removals of cards that are animating out, by Steam ID
+const exitTimers = new Map();
+// HTML last written to a card slot, so unchanged slots are not rebuilt
+const renderedSlots = new WeakMap();
+// Keep in sync with the friend-exit animation in styles.css
+const CARD_EXIT_MS = 200;
+
+/**
+ * Set the text of an element if it changed
+ * @param {HTMLElement} el
+ * @param {string} text
+ */
+function setText(el, text) {
+    if (el.textContent !== text) el.textContent = text;
+}
+
+/**
+ * Set the HTML of a card slot if it changed
+ * @param {HTMLElement} el
+ * @param {SafeHtml} template - html`` template
+ */
+function setSlotHtml(el, template) {
+    const markup = toMarkup(template);
+    if (renderedSlots.get(el) === markup) return;
+    renderedSlots.set(el, markup);
+    el.innerHTML = markup;
+}
+
 // Status dot CSS class mapping
 const STATUS_DOT_CLASSES = {
     waiting: 'dot-waiting',
     connecting: 'dot-connecting',
     joined: 'dot-joined',
     cancelled: 'dot-cancelled',
+    blocked: 'dot-blocked', // Yellow — held back because launching would pull the user out of their match
     missing: 'dot-missing' // Purple — temporarily missing from casual, but attempting to connect
 };
 
@@ -28,6 +68,54 @@ function getStatusDotClass(status) {
     return STATUS_DOT_CLASSES[status] || STATUS_DOT_CLASSES.cancelled;
 }
 
+/**
+ * Set the class of a status dot element
+ * @param {HTMLElement} dot
+ * @param {string} status - Join status
+ */
+function applyDot(dot, status) {
+    const className = 'status-dot ' + getStatusDotClass(status);
+    if (dot.className !== className) dot.className = className;
+}
+
+/**
+ * Set the label and state of a join button element
+ * @param {HTMLButtonElement} btn
+ * @param {string} status - Join status
+ */
+function applyJoinButton(btn, status) {
+    const cancellable = status === 'waiting' || status === 'connecting' || status === 'blocked';
+    setText(btn, cancellable ? "Cancel" : "Join");
+    btn.classList.toggle('cancel-btn', cancellable);
+    btn.disabled = (status === 'joined');
+}
+
+/**
+ * Fill or hide a join reason element
+ * @param {HTMLElement} el
+ * @param {string|null} reason
+ */
+function applyJoinReason(el, reason) {
+    if (!reason) {
+        el.style.display = 'none';
+        el.replaceChildren();
+        delete el.dataset.reason;
+        return;
+    }
+    el.style.display = '';
+    if (el.dataset.reason === reason && el.childElementCount) return;
+    el.dataset.reason = reason;
+    const text = document.createElement('span');
+    text.textContent = reason;
+    // Clicks are handled by the friends list container
+    const confirmBtn = document.createElement('button');
+    confirmBtn.className = 'small-btn';
+    confirmBtn.dataset.action = 'confirm-launch';
+    confirmBtn.textContent = 'Join anyway';
+    confirmBtn.title = 'Leave your current match and join this friend';
+    el.replaceChildren(text, confirmBtn);
+}
+
 /**
  * Update the status dot appearance based on join status
  * @param {string} friend_id - Steam ID of the friend
@@ -35,7 +123,7 @@ function getStatusDotClass(status) {
  */
 function updateDot(friend_id, status) {
     const dot = $id('dot-' + friend_id);
-    if (dot) dot.className = 'status-dot ' + getStatusDotClass(status);
+    if (dot) applyDot(dot, status);
 }
 
 /**
@@ -45,19 +133,181 @@ function updateDot(friend_id, status) {
  */
 function updateJoinButton(friend_id, status) {
     const btn = $id('join-btn-' + friend_id);
-    if (!btn) return;
-    if (status === 'waiting' || status === 'connecting') {
-        btn.textContent = "Cancel";
-        btn.classList.add('cancel-btn');
-    } else {
-        btn.textContent = "Join";
-        btn.classList.remove('cancel-btn');
-    }
-    btn.disabled = (status === 'joined');
+    if (btn) applyJoinButton(btn, status);
+}
+
+/**
+ * Show or hide why a join is held back on the friend card
+ * @param {string} friend_id - Steam ID of the friend
+ * @param {string|null} reason - Reason from the launch guard, or null to hide it
+ */
+function updateJoinReason(friend_id, reason) {
+    const el = $id('join-reason-' + friend_id);
+    if (el) applyJoinReason(el, reason);
+}
+
+/**
+ * Build the map, score and match progress row of a friend card
+ * @param {Object} friend - Friend status object
+ * @returns {SafeHtml|string} - html`` template, empty if the map is unknown
+ */
+function getMatchInfoHtml(friend) {
+    const info = MatchInfo.getMatchInfo(friend);
+    if (!info) return '';
+    const { score, progress } = info;
+    const scoreHtml = score
+        && html`<span class="match-score"><span class="team-ct">CT ${score.ct}</span> : <span class="team-t">${score.t} T</span></span>`;
+    const progressHtml = progress
+        && html`<progress class="match-progress" max="100" value="${Math.round(progress.progress * 100)}" title="Round ${progress.roundsPlayed + 1} of up to ${progress.maxRounds}"></progress>`;
+    const endingHtml = progress && progress.ending
+        && html`<span class="match-ending-label" title="At most ${progress.roundsLeft} round(s) left">Ending soon</span>`;
+    return html`
+        <div class="match-info">
+            <img src="${info.thumbnail}" alt="" class="map-thumbnail">
+            <span class="map-name">${info.mapName}</span>
+            ${scoreHtml}
+            ${progressHtml}
+            ${endingHtml}
+        </div>
+    `;
+}
+
+/**
+ * Build the mode, status and party labels of a friend card
+ * @param {Object} friend - Friend status object
+ * @param {boolean} isMissing - The friend's join is waiting for them to return to a joinable mode
+ * @returns {SafeHtml} - html`` template
+ */
+function getFriendDetailsHtml(friend, isMissing) {
+    return html`
+        ${friend.game_mode && html`<span class="mode-badge mode-${friend.game_mode}">${GameModes.getModeLabel(friend.game_mode)}</span>`}
+        ${(friend.status || isMissing) && html`<span class="game-status" style="font-weight:400;color:#bfc9d8;">${isMissing ? 'Temporarily not in a joinable mode' : friend.status}</span>`}
+        ${friend.party_size > 1 && html`<span class="friend-party" title="Friends in the same party join together">Party of ${friend.party_size}</span>`}
+        ${getMatchInfoHtml(friend)}
+    `;
+}
+
+/**
+ * Create the skeleton of a friend card; patchFriendCard fills it in
+ * @param {string} steamid
+ * @returns {HTMLElement}
+ */
+function createFriendCard(steamid) {
+    const card = document.createElement('div');
+    card.className = 'friend friend-enter';
+    card.id = `friend-${steamid}`;
+    card.dataset.steamid = steamid;
+    setHtml(card, html`
+        <div class="friend-info-row">
+            <img alt="avatar" class="friend-avatar">
+            <div class="friend-info">
+                <span class="personaname"><button id="fav-btn-${steamid}" class="fav-btn" data-action="favourite"></button><span class="personaname-text"></span></span>
+                <span class="friend-details"></span>
+                <span class="join-reason" id="join-reason-${steamid}" style="display:none;"></span>
+            </div>
+        </div>
+        <div class="join-section" id="join-section-${steamid}">
+            <label class="auto-join-toggle" title="Join automatically as soon as this friend is joinable"><input type="checkbox" id="auto-join-${steamid}" data-action="auto-join"> Auto</label>
+            <button id="watch-btn-${steamid}" class="queue-btn watch-btn" data-action="watch" title="Get a desktop notification when this friend enters a joinable match"></button>
+            <button id="queue-btn-${steamid}" class="queue-btn" data-action="queue" title="Add to or remove from the join queue"></button>
+            <span class="status-dot" id="dot-${steamid}"></span>
+            <button id="join-btn-${steamid}" class="action-btn" data-action="join"></button>
+        </div>
+    `);
+    card.addEventListener('animationend', (e) => {
+        if (e.target === card) card.classList.remove('friend-enter');
+    });
+    return card;
+}
+
+/**
+ * Bring a friend card up to date, touching only what changed
+ * @param {HTMLElement} card
+ * @param {Object} friend - Friend status object
+ * @param {Object} [joinState] - The friend's join state, if a join is running
+ */
+function patchFriendCard(card, friend, joinState) {
+    const steamid = friend.steamid;
+    const isMissing = joinState?.status === 'missing';
+    const isFavourite = Favourites.isFavourite(steamid);
+    card.classList.toggle('match-ending', !!MatchInfo.getMatchInfo(friend)?.progress?.ending);
+    card.classList.toggle('favourite', isFavourite);
+
+    const avatar = card.querySelector('.friend-avatar');
+    const avatarUrl = friend.avatarfull || friend.avatar || friend.avatarmedium || '';
+    if (avatar.getAttribute('src') !== avatarUrl) avatar.setAttribute('src', avatarUrl);
+    setText(card.querySelector('.personaname-text'), friend.personaname || '');
+    const favBtn = card.querySelector('[data-action="favourite"]');
+    favBtn.classList.toggle('starred', isFavourite);
+    favBtn.title = isFavourite ? 'Remove from favourites' : 'Add to favourites';
+    setText(favBtn, isFavourite ? '★' : '☆');
+    setSlotHtml(card.querySelector('.friend-details'), getFriendDetailsHtml(friend, isMissing));
+    applyJoinReason(card.querySelector('.join-reason'), joinState?.blockedReason || null);
+
+    const autoJoin = card.querySelector('.auto-join-toggle');
+    autoJoin.style.display = isFavourite ? '' : 'none';
+    autoJoin.querySelector('input').checked = Favourites.isAutoJoin(steamid);
+    const watchBtn = card.querySelector('[data-action="watch"]');
+    const isWatched = WatchList.isWatched(steamid);
+    watchBtn.classList.toggle('watched', isWatched);
+    setText(watchBtn, isWatched ? 'Watching' : 'Watch');
+    const queueBtn = card.querySelector('[data-action="queue"]');
+    queueBtn.classList.toggle('queued', JoinManager.isQueued(steamid));
+    setText(queueBtn, getQueueButtonLabel(steamid));
+    const status = joinState ? joinState.status : 'cancelled';
+    applyDot(card.querySelector('.status-dot'), status);
+    applyJoinButton(card.querySelector('[data-action="join"]'), status);
+}
+
+/**
+ * Animate a friend card out and remove it afterwards
+ * @param {string} steamid
+ * @param {HTMLElement} card
+ */
+function removeFriendCard(steamid, card) {
+    if (exitTimers.has(steamid)) return;
+    card.classList.remove('friend-enter');
+    card.classList.add('friend-exit');
+    exitTimers.set(steamid, setTimeout(() => {
+        exitTimers.delete(steamid);
+        friendCards.delete(steamid);
+        card.remove();
+    }, CARD_EXIT_MS));
+}
+
+/**
+ * Keep a card that is animating out, because its friend is back in the list
+ * @param {string} steamid
+ * @param {HTMLElement} card
+ */
+function restoreFriendCard(steamid, card) {
+    if (!exitTimers.has(steamid)) return;
+    clearTimeout(exitTimers.get(steamid));
+    exitTimers.delete(steamid);
+    card.classList.remove('friend-exit');
+}
+
+/**
+ * Move cards into the given order with as few DOM moves as possible
+ * Cards that are animating out keep their place until they are removed
+ * @param {HTMLElement} container
+ * @param {Array<HTMLElement>} cards
+ */
+function placeFriendCards(container, cards) {
+    let ref = container.firstElementChild;
+    cards.forEach(card => {
+        while (ref && ref !== card && ref.classList.contains('friend-exit')) ref = ref.nextElementSibling;
+        if (ref === card) {
+            ref = ref.nextElementSibling;
+        } else {
+            container.insertBefore(card, ref);
+        }
+    });
 }
 
 /**
  * Render the list of friends in the UI
+ * Cards are keyed by Steam ID: existing cards are patched in place, new ones animate in and gone ones animate out
  * @param {Array} friends - Array of friend objects
  * @param {Object} joinStates - Map of join states by friend Steam ID
  */
@@ -67,85 +317,225 @@ function renderFriendsList(friends, joinStates = {}) {
 
     lastRenderedFriends = Array.isArray(friends) ? [...friends] : [];
 
-    let sortedFriends = [...friends].sort((a, b) => {
-        const nameA = (a.personaname || '').toLowerCase();
-        const nameB = (b.personaname || '').toLowerCase();
-        return nameA.localeCompare(nameB, undefined, { sensitivity: 'base' });
-    });
+    // Favourites are pinned to the top, each group keeps the selected order
+    const ordered = FriendQuery.sortFriends(lastRenderedFriends, SavedViews.getSort(), joinStates);
+    const sortedFriends = [
+        ...ordered.filter(f => Favourites.isFavourite(f.steamid)),
+        ...ordered.filter(f => !Favourites.isFavourite(f.steamid))
+    ];
 
-    updateFriendsStatus(sortedFriends);
+    // Friends in a mode that was just disabled stay in the data until the next poll
+    const joinableFriends = sortedFriends.filter(f => !f.game_mode || GameModes.isJoinable(f.game_mode));
+    updateFriendsStatus(joinableFriends);
 
-    let filterValue = '';
     const filterInput = $id('friend-filter-input');
-    if (filterInput) {
-        filterValue = filterInput.value.trim().toLowerCase();
+    const queryTerms = FriendQuery.parseQuery(filterInput ? filterInput.value : '');
+    const modeFilter = $id('mode-filter') ? $id('mode-filter').value : '';
+    let filteredFriends = joinableFriends;
+    if (modeFilter) {
+        filteredFriends = filteredFriends.filter(f => f.game_mode === modeFilter);
     }
-    let filteredFriends = sortedFriends;
-    if (filterValue) {
-        filteredFriends = sortedFriends.filter(f => {
-            const name = (f.personaname || '').toLowerCase();
-            return name.includes(filterValue);
-        });
+    if (queryTerms.length) {
+        filteredFriends = filteredFriends.filter(f => FriendQuery.matchesQuery(f, queryTerms));
     }
 
+    const visible = new Set(filteredFriends.map(f => f.steamid));
+    friendCards.forEach((card, steamid) => {
+        if (!visible.has(steamid)) removeFriendCard(steamid, card);
+    });
+
+    let emptyMessage = friendsContainer.querySelector('.friends-empty');
     if (!filteredFriends.length) {
-        friendsContainer.innerHTML = '<div style="text-align:center;color:#aaa;padding:1.5em 0;">No friends found.</div>';
+        if (!emptyMessage) {
+            emptyMessage = document.createElement('div');
+            emptyMessage.className = 'friends-empty';
+            emptyMessage.textContent = 'No friends found.';
+            friendsContainer.appendChild(emptyMessage);
+        }
         return;
     }
+    if (emptyMessage) emptyMessage.remove();
 
-    let html = '';
-    for (const friend of filteredFriends) {
-        const avatarUrl = friend.avatarfull || friend.avatar || friend.avatarmedium || '';
-        // If the friend has a missing status in joinStates — show as missing
-        const joinState = joinStates[friend.steamid];
-        const isMissing = joinState && joinState.status === 'missing';
-        html += `
-            <div class="friend" id="friend-${friend.steamid}">
-                <div class="friend-info-row">
-                    <img src="${avatarUrl}" alt="avatar" class="friend-avatar">
-                    <div class="friend-info">
-                        <span class="personaname">${friend.personaname}</span>
-                        ${friend.status || isMissing ? `<span class="game-status" style="font-weight:400;color:#bfc9d8;">${isMissing ? 'Temporarily not in Casual' : friend.status}</span>` : ''}
-                    </div>
-                </div>
-                <div class="join-section" id="join-section-${friend.steamid}">
-                    <span class="status-dot ${isMissing ? 'dot-missing' : 'dot-cancelled'}" id="dot-${friend.steamid}"></span>
-                    <button id="join-btn-${friend.steamid}" class="action-btn${(joinState && (joinState.status === 'waiting' || joinState.status === 'connecting' || isMissing)) ? ' cancel-btn' : ''}">${(joinState && (joinState.status === 'waiting' || joinState.status === 'connecting' || isMissing)) ? 'Cancel' : 'Join'}</button>
-                </div>
-            </div>
-        `;
-    }
-    friendsContainer.innerHTML = html;
-    for (const friend of filteredFriends) {
-        const btn = $id(`join-btn-${friend.steamid}`);
-        if (btn) {
-            btn.addEventListener('click', () => {
-                if (btn.classList.contains('cancel-btn')) {
-                    JoinManager.cancelJoin(friend.steamid);
-                } else {
-                    JoinManager.startJoin(friend.steamid);
-                }
-            });
+    const cards = filteredFriends.map(friend => {
+        let card = friendCards.get(friend.steamid);
+        if (card) {
+            restoreFriendCard(friend.steamid, card);
+        } else {
+            card = createFriendCard(friend.steamid);
+            friendCards.set(friend.steamid, card);
         }
-        if (joinStates[friend.steamid]) {
-            updateDot(friend.steamid, joinStates[friend.steamid].status);
-            updateJoinButton(friend.steamid, joinStates[friend.steamid].status);
+        patchFriendCard(card, friend, joinStates[friend.steamid]);
+        return card;
+    });
+    placeFriendCards(friendsContainer, cards);
+}
+
+/**
+ * Handle clicks on friend card controls
+ * One listener on the list container serves every card, so nothing is re-attached on render
+ * @param {MouseEvent} e
+ */
+function handleFriendCardClick(e) {
+    const control = e.target.closest('[data-action]');
+    const card = control && control.closest('.friend');
+    if (!card || card.classList.contains('friend-exit')) return;
+    const steamid = card.dataset.steamid;
+    const personaname = lastRenderedFriends.find(f => f.steamid === steamid)?.personaname || '';
+    switch (control.dataset.action) {
+        case 'join':
+            if (control.classList.contains('cancel-btn')) {
+                JoinManager.cancelJoin(steamid);
+            } else {
+                // A manual join counts as handled, so auto-join does not start it again after a cancel
+                Favourites.markHandled(steamid);
+                JoinManager.startJoin(steamid);
+            }
+            break;
+        case 'favourite':
+            Favourites.toggle(steamid, personaname);
+            break;
+        case 'watch': {
+            const isWatched = WatchList.toggle(steamid, personaname);
+            control.classList.toggle('watched', isWatched);
+            control.textContent = isWatched ? 'Watching' : 'Watch';
+            break;
         }
+        case 'queue':
+            if (JoinManager.isQueued(steamid)) {
+                JoinManager.removeFromQueue(steamid);
+            } else {
+                JoinManager.addToQueue(steamid, personaname);
+            }
+            break;
+        case 'confirm-launch':
+            JoinManager.confirmLaunch(steamid);
+            control.disabled = true;
+            break;
+    }
+}
+
+/**
+ * Handle the auto-join checkboxes of favourite cards
+ * @param {Event} e
+ */
+function handleFriendCardChange(e) {
+    if (e.target.dataset.action !== 'auto-join') return;
+    const card = e.target.closest('.friend');
+    if (card) Favourites.setAutoJoin(card.dataset.steamid, e.target.checked);
+}
+
+// Labels for join queue entry states
+const QUEUE_STATE_LABELS = {
+    queued: 'Queued',
+    attempting: 'Attempting to join',
+    deferred: 'Match full — trying others first',
+    missing: 'Not in a joinable mode',
+    'next-match': 'Waiting for the next match',
+    blocked: 'Waiting for your match to end',
+    joined: 'Joined'
+};
+
+// Labels for the overall join queue status
+const QUEUE_STATUS_LABELS = {
+    idle: 'Not running',
+    waiting: 'Waiting for a queued friend to be joinable...',
+    connecting: 'Connecting...',
+    joined: 'Joined'
+};
+
+/**
+ * Get the label of a friend's queue button
+ * @param {string} friend_id - Steam ID of the friend
+ * @returns {string}
+ */
+function getQueueButtonLabel(friend_id) {
+    const index = JoinManager.getQueue().entries.findIndex(entry => entry.steamid === friend_id);
+    return index === -1 ? '+ Queue' : `#${index + 1}`;
+}
+
+/**
+ * Update the queue buttons on the friend cards
+ * @param {Array} entries - Join queue entries
+ */
+function updateQueueButtons(entries) {
+    friendCards.forEach((card, friend_id) => {
+        const btn = card.querySelector('[data-action="queue"]');
+        const index = entries.findIndex(entry => entry.steamid === friend_id);
+        setText(btn, index === -1 ? '+ Queue' : `#${index + 1}`);
+        btn.classList.toggle('queued', index !== -1);
+    });
+}
+
+/**
+ * Render the priority join queue panel
+ * @param {{entries: Array, active: boolean, current: string|null, status: string, fallbackMs: number}} queue
+ */
+function renderJoinQueue(queue) {
+    const panel = $id('join-queue');
+    const list = $id('join-queue-list');
+    if (!panel || !list) return;
+    updateQueueButtons(queue.entries);
+    if (!queue.entries.length) {
+        panel.style.display = 'none';
+        list.replaceChildren();
+        return;
+    }
+    panel.style.display = 'block';
+
+    const statusEl = $id('join-queue-status');
+    if (statusEl) statusEl.textContent = queue.status === 'blocked' ? queue.blockedReason : QUEUE_STATUS_LABELS[queue.status] || '';
+    const toggleBtn = $id('join-queue-toggle');
+    if (toggleBtn) {
+        toggleBtn.textContent = queue.active ? 'Stop queue' : 'Start queue';
+        toggleBtn.classList.toggle('cancel-btn', queue.active);
+    }
+    const fallbackInput = $id('join-queue-fallback');
+    if (fallbackInput && document.activeElement !== fallbackInput) {
+        fallbackInput.value = String(queue.fallbackMs / 60000);
     }
+
+    setHtml(list, queue.entries.map((entry, index) => {
+        const isCurrent = queue.active && queue.current === entry.steamid;
+        return html`
+            <li class="join-queue-item${isCurrent ? ' current' : ''}">
+                <span class="join-queue-name">${entry.personaname}</span>
+                <span class="join-queue-state">${queue.active || entry.state === 'joined' ? QUEUE_STATE_LABELS[entry.state] || '' : ''}</span>
+                <span class="join-queue-controls">
+                    <button class="queue-control-btn" data-action="up" data-steamid="${entry.steamid}" title="Higher priority"${index === 0 ? ' disabled' : ''}>&uarr;</button>
+                    <button class="queue-control-btn" data-action="down" data-steamid="${entry.steamid}" title="Lower priority"${index === queue.entries.length - 1 ? ' disabled' : ''}>&darr;</button>
+                    <button class="queue-control-btn" data-action="remove" data-steamid="${entry.steamid}" title="Remove from queue">&times;</button>
+                </span>
+            </li>
+        `;
+    }));
+}
+
+/**
+ * Handle clicks on the queue panel's move and remove buttons
+ * One listener on the queue list serves every row, so nothing is re-attached on render
+ * @param {MouseEvent} e
+ */
+function handleQueueControlClick(e) {
+    const btn = e.target.closest('.queue-control-btn');
+    if (!btn || btn.disabled) return;
+    const friend_id = btn.dataset.steamid;
+    if (btn.dataset.action === 'up') JoinManager.moveInQueue(friend_id, -1);
+    else if (btn.dataset.action === 'down') JoinManager.moveInQueue(friend_id, 1);
+    else if (btn.dataset.action === 'remove') JoinManager.removeFromQueue(friend_id);
 }
 
 /**
  * Show a notification with close button
- * @param {string} html - HTML content of the notification
+ * @param {SafeHtml|string} content - html`` template, or plain text
  */
-function showNotification(html) {
+function showNotification(content) {
     const errorElement = $id('error');
     if (!errorElement) return;
 
     // Flex header with close button
-    const closeBtnHtml = `<div class="notification-header"><span class="notification-close-btn" title="Close">&times;</span></div>`;
+    const closeBtnHtml = html`<div class="notification-header"><span class="notification-close-btn" title="Close">&times;</span></div>`;
     // All notification text — in a separate div for border and centering
-    errorElement.innerHTML = closeBtnHtml + `<div class="notification-content">${html}</div>`;
+    setHtml(errorElement, html`${closeBtnHtml}<div class="notification-content">${content}</div>`);
     errorElement.style.display = 'block';
 
     // Close button
@@ -171,31 +561,46 @@ function showTokenInfoNotification(tokenInfo) {
     let expired = expiresMs < now;
     let warnHtml = '';
     if (expired) {
-        warnHtml = `
+        warnHtml = html`
             <div style="color:#ff4444;font-weight:500;margin-top:8px;">
-                Your token has expired.<br>
+                Your token has expired. Friend updates and joins are paused.<br>
+                Paste the new token into the field above and everything resumes where it stopped.<br>
                 Please get a new one by clicking <b>Steam Web API Key</b> above or <a href="steam://openurl/https://store.steampowered.com/pointssummary/ajaxgetasyncconfig" class="privacy-link" target="_self">Get your Steam Web API Token in Steam</a>.<br>
                 Note: Steam will only issue a new token after the previous one fully expires.
             </div>
         `;
     }
-    const html = `
+    const content = html`
         <div class="notification-content" style="border-color:#2d8cf0;">
             <div style="color:#2d8cf0;font-weight:500;">
                 Steam Web API Token detected.<br>
                 <span style="font-size:0.98em;">SteamID: <b>${tokenInfo.steamid}</b></span><br>
                 <span style="font-size:0.98em;">Token expires: <b>${expiresStr}</b></span>
+                <span id="token-countdown" class="token-countdown"></span>
             </div>
             ${warnHtml}
         </div>
     `;
     const infoDiv = document.createElement('div');
     infoDiv.id = 'token-info-notification';
-    infoDiv.innerHTML = html;
+    setHtml(infoDiv, content);
     infoDiv.style.marginBottom = '8px';
     errorElement.parentNode.insertBefore(infoDiv, errorElement);
 }
 
+/**
+ * Update the live countdown in the token info notification
+ * @param {number} remainingMs - Time until the token expires
+ * @param {string} text - Formatted remaining time
+ * @param {boolean} expiringSoon - Whether the expiry warning is due
+ */
+function updateTokenCountdown(remainingMs, text, expiringSoon) {
+    const countdown = $id('token-countdown');
+    if (!countdown) return;
+    countdown.textContent = remainingMs > 0 ? `(in ${text})` : '(expired)';
+    countdown.classList.toggle('expiring', expiringSoon || remainingMs === 0);
+}
+
 /**
  * Hide token info notification
  */
@@ -206,11 +611,11 @@ function hideTokenInfoNotification() {
 
 /**
  * Get HTML for privacy warning
- * @param {string} linkHtml - HTML for privacy settings link
- * @returns {string}
+ * @param {SafeHtml|string} linkHtml - html`` template of the privacy settings link
+ * @returns {SafeHtml}
  */
 function getPrivacyWarningHtml(linkHtml) {
-    return `
+    return html`
         <div class="notification-main-text" style="color:#ff4444;font-weight:500;">
             No friends list returned. This could be because your friends list is set to private in your Steam privacy settings or you don't have any friends :(
         </div>
@@ -236,39 +641,51 @@ function showUpdateError(steamId = '') {
         ? `steam://openurl/https://steamcommunity.com/profiles/${currentSteamId}/edit/settings/`
         : '';
     const linkHtml = privacyUrl
-        ? `<a href="${privacyUrl}" class="privacy-link" style="color:#2d8cf0;text-decoration:underline;" 
+        ? html`<a href="${privacyUrl}" class="privacy-link" style="color:#2d8cf0;text-decoration:underline;" 
             title="Open privacy settings in Steam">Open your Steam privacy settings</a>`
         : '';
     showNotification(getPrivacyWarningHtml(linkHtml));
 }
 
+/**
+ * Get a user-facing message for a Steam API error
+ * @param {Error} error
+ * @returns {string}
+ */
+function getSteamErrorMessage(error) {
+    if (error instanceof SteamErrors.SteamAuthError) {
+        return "Steam rejected your API Key or token. Please check it, or get a new token if it has expired.";
+    }
+    if (error instanceof SteamErrors.SteamRateLimitError) {
+        const wait = error.retryAfterMs ? ` Please wait ${Math.ceil(error.retryAfterMs / 1000)} s and try again.` : ' Please try again in a minute.';
+        return "Steam is rate limiting requests." + wait;
+    }
+    if (error instanceof SteamErrors.SteamNetworkError) {
+        return error.timedOut
+            ? "Steam API did not respond in time. Please check your connection and try again."
+            : "Could not reach the Steam API. Please check your internet connection.";
+    }
+    if (error instanceof SteamErrors.SteamServerError) {
+        return "Steam API is having problems right now. Please try again later.";
+    }
+    return error.message;
+}
+
 /**
  * Show error to the user (uses showNotification)
+ * Privacy errors show the privacy settings help instead of a plain message
  * @param {string|Error} message
  * @param {string} steamId
  */
 function showError(message, steamId = '') {
-    let errorMessage = '';
-    let isPrivacyError = false;
-    if (message instanceof Error) {
-        const errorCode = message.message;
-        if (errorCode === 'PRIVATE_FRIENDS_LIST' || errorCode === 'EMPTY_FRIENDS_LIST') {
-            isPrivacyError = true;
-        } else if (errorCode === 'API_ERROR_403') {
-            errorMessage = "Invalid or missing Steam API Key. Please check your API Key and try again.";
-        } else {
-            errorMessage = message.message;
-        }
-    } else {
-        errorMessage = message;
-    }
-    if (isPrivacyError) {
+    if (message instanceof SteamErrors.SteamPrivacyError) {
         showUpdateError(steamId);
-    } else {
-        showNotification(
-            `<div class="notification-main-text" style="color:#ff4444;font-weight:500;">${errorMessage}</div>`
-        );
+        return;
     }
+    const errorMessage = message instanceof Error ? getSteamErrorMessage(message) : message;
+    showNotification(
+        html`<div class="notification-main-text" style="color:#ff4444;font-weight:500;">${errorMessage}</div>`
+    );
 }
 
 /**
@@ -279,9 +696,112 @@ function hideError() {
     if (errorElement) errorElement.style.display = 'none';
 }
 
+/**
+ * Show what the last friends list sync changed
+ * @param {string} text - e.g. "Friends list updated: 2 new friends, 1 removed"
+ */
+function showFriendsSyncSummary(text) {
+    const summary = $id('friends-sync-summary');
+    if (!summary) return;
+    summary.textContent = `${text} (${new Date().toLocaleTimeString()})`;
+    summary.style.display = '';
+}
+
+/**
+ * Hide the friends list sync summary
+ */
+function hideFriendsSyncSummary() {
+    const summary = $id('friends-sync-summary');
+    if (summary) summary.style.display = 'none';
+}
+
+/**
+ * Show how often the friends list is refreshed, or hide it
+ * @param {string|null} text - e.g. "Refreshing every 12 s (window hidden)"; null hides the line
+ */
+function updateRefreshCadence(text) {
+    const cadence = $id('refresh-cadence');
+    if (!cadence) return;
+    cadence.textContent = text || '';
+    cadence.style.display = text ? '' : 'none';
+}
+
+/**
+ * Render the list of watched friends
+ * @param {Array<{steamid: string, personaname: string}>} watched
+ */
+function renderWatchList(watched) {
+    const container = $id('watch-list');
+    if (!container) return;
+    container.style.display = watched.length ? '' : 'none';
+    const list = $id('watch-list-entries');
+    if (!list) return;
+    list.replaceChildren(...watched.map(entry => {
+        const item = document.createElement('span');
+        item.className = 'watch-list-entry';
+        item.textContent = entry.personaname;
+        const remove = document.createElement('button');
+        remove.className = 'watch-list-remove';
+        remove.title = 'Stop watching';
+        remove.textContent = '×';
+        remove.addEventListener('click', () => {
+            WatchList.toggle(entry.steamid);
+            const watchBtn = $id(`watch-btn-${entry.steamid}`);
+            if (watchBtn) {
+                watchBtn.classList.remove('watched');
+                watchBtn.textContent = 'Watch';
+            }
+        });
+        item.appendChild(remove);
+        return item;
+    }));
+}
+
+/**
+ * Offer to join a friend after a desktop notification was clicked
+ * @param {string} friendId
+ * @param {string} personaname
+ */
+function showJoinOffer(friendId, personaname) {
+    showNotification(html`
+        <div class="notification-main-text">Join <b class="join-offer-name">${personaname || friendId}</b>?</div>
+        <div class="join-offer-actions"><button class="action-btn join-offer-btn">Join</button></div>
+    `);
+    const errorElement = $id('error');
+    errorElement.querySelector('.join-offer-btn').addEventListener('click', () => {
+        hideError();
+        JoinManager.startJoin(friendId);
+    });
+}
+
+/**
+ * Render the mode filter and the joinable mode toggles from the current GameModes settings
+ */
+function renderModeControls() {
+    const options = GameModes.getJoinableModeOptions();
+    const filter = $id('mode-filter');
+    if (filter) {
+        const selected = filter.value || Preferences.get('mode_filter', '');
+        setHtml(filter, html`<option value="">All modes</option>${options
+            .filter(mode => mode.enabled)
+            .map(mode => html`<option value="${mode.id}">${mode.label}</option>`)}`);
+        filter.value = GameModes.isJoinable(selected) ? selected : '';
+    }
+    const toggles = $id('joinable-modes');
+    if (toggles) {
+        setHtml(toggles, html`<span class="joinable-modes-label">Joinable modes:</span>${options
+            .map(mode => html`
+                <label class="joinable-mode">
+                    <input type="checkbox" value="${mode.id}"${mode.enabled && html` checked`}> ${mode.label}
+                </label>
+            `)}`);
+    }
+}
+
 /**
  * Update friends status message
- * @param {Array|string} friendsInCasual - Array of friends currently in casual mode or a status message string (HTML allowed)
+ * @param {Array|SafeHtml|string} friendsInCasual - Array of friends currently in a joinable mode, or a status message
+ *   (an html`` template, or plain text)
  */
 function updateFriendsStatus(friendsInCasual) {
     let statusMessage = $id('friends-status-message');
@@ -292,17 +812,18 @@ function updateFriendsStatus(friendsInCasual) {
         const centerRow = document.querySelector('.center-row');
         centerRow.parentNode.insertBefore(statusMessage, centerRow.nextSibling);
     }
-    if (typeof friendsInCasual === 'string') {
-        statusMessage.innerHTML = `<p>${friendsInCasual}</p>`;
+    if (!Array.isArray(friendsInCasual)) {
+        setHtml(statusMessage, html`<p>${friendsInCasual}</p>`);
         return;
     }
-    if (Array.isArray(friendsInCasual) && friendsInCasual.length === 0) {
-        statusMessage.innerHTML = `
-            <p>None of your friends are currently playing Casual mode.</p>
-            <p class="note">The friends list is automatically updated periodically. When your friends enter Casual mode, they will appear here.</p>
-        `;
-    } else if (Array.isArray(friendsInCasual)) {
-        statusMessage.innerHTML = `<p>${friendsInCasual.length} friend(s) currently in Casual mode.</p>`;
+    const modes = GameModes.getJoinableModes().map(GameModes.getModeLabel).join(', ');
+    if (friendsInCasual.length === 0) {
+        setHtml(statusMessage, html`
+            <p>None of your friends are currently playing ${modes}.</p>
+            <p class="note">The friends list is automatically updated periodically. When your friends enter ${modes}, they will appear here.</p>
+        `);
+    } else {
+        setHtml(statusMessage, html`<p>${friendsInCasual.length} friend(s) currently in ${modes}.</p>`);
     }
 }
 
@@ -310,7 +831,7 @@ function updateFriendsStatus(friendsInCasual) {
  * Show help notification for Steam ID
  */
 function showSteamIdHelp() {
-    const helpHtml = `
+    const helpHtml = html`
         <div class="notification-main-text" style="color:#2d8cf0;font-weight:500;">
             How to get your Steam ID
         </div>
@@ -333,7 +854,7 @@ function showSteamIdHelp() {
  * Show help notification for API Key
  */
 function showApiKeyHelp() {
-    const helpHtml = `
+    const helpHtml = html`
         <div class="notification-main-text" style="color:#2d8cf0;font-weight:500;">
             How to get your Steam API Token or Key
         </div>
@@ -375,15 +896,24 @@ function showApiKeyHelp() {
 const UIManager = {
     updateDot,
     updateJoinButton,
+    updateJoinReason,
     renderFriendsList,
+    renderJoinQueue,
     showError,
     hideError,
     showUpdateError,
     updateFriendsStatus,
+    showFriendsSyncSummary,
+    hideFriendsSyncSummary,
+    updateRefreshCadence,
+    renderModeControls,
+    renderWatchList,
+    showJoinOffer,
     showNotification,
     showSteamIdHelp,
     showApiKeyHelp,
     showTokenInfoNotification,
+    updateTokenCountdown,
     hideTokenInfoNotification
 };
 
@@ -395,6 +925,11 @@ export default UIManager;
  * Uses the last rendered friends and current join states
  */
 document.addEventListener('DOMContentLoaded', () => {
+    const friendsContainer = $id('friends');
+    if (friendsContainer) {
+        friendsContainer.addEventListener('click', handleFriendCardClick);
+        friendsContainer.addEventListener('change', handleFriendCardChange);
+    }
     const filterInput = $id('friend-filter-input');
     if (filterInput) {
         filterInput.addEventListener('input', () => {
@@ -402,5 +937,54 @@ document.addEventListener('DOMContentLoaded', () => {
                 UIManager.renderFriendsList(lastRenderedFriends, (JoinManager && JoinManager.getJoinStates && JoinManager.getJoinStates()) || {});
             }
         });
+        filterInput.addEventListener('change', () => {
+            Preferences.set('friend_filter', filterInput.value.trim());
+        });
+    }
+    SavedViews.init(() => {
+        UIManager.renderFriendsList(lastRenderedFriends, JoinManager.getJoinStates());
+    });
+    const autoJoinSwitch = $id('auto-join-enabled');
+    Favourites.onChange(() => {
+        if (autoJoinSwitch) autoJoinSwitch.checked = Favourites.isAutoJoinEnabled();
+        if (lastRenderedFriends.length) UIManager.renderFriendsList(lastRenderedFriends, JoinManager.getJoinStates());
+    });
+    if (autoJoinSwitch) {
+        autoJoinSwitch.addEventListener('change', () => Favourites.setAutoJoinEnabled(autoJoinSwitch.checked));
+    }
+    const modeFilter = $id('mode-filter');
+    if (modeFilter) {
+        modeFilter.addEventListener('change', () => {
+            Preferences.set('mode_filter', modeFilter.value);
+            UIManager.renderFriendsList(lastRenderedFriends, JoinManager.getJoinStates());
+        });
+    }
+    const joinableModes = $id('joinable-modes');
+    if (joinableModes) {
+        joinableModes.addEventListener('change', () => {
+            const modes = [...joinableModes.querySelectorAll('input:checked')].map(input => input.value);
+            GameModes.setJoinableModes(modes);
+            Preferences.set('joinable_modes', GameModes.getJoinableModes());
+            renderModeControls();
+            UIManager.renderFriendsList(lastRenderedFriends, JoinManager.getJoinStates());
+        });
+    }
+    const queueList = $id('join-queue-list');
+    if (queueList) queueList.addEventListener('click', handleQueueControlClick);
+    const queueToggle = $id('join-queue-toggle');
+    if (queueToggle) {
+        queueToggle.addEventListener('click', () => {
+            if (JoinManager.getQueue().active) {
+                JoinManager.stopQueue();
+            } else {
+                JoinManager.startQueue();
+            }
+        });
+    }
+    const queueFallback = $id('join-queue-fallback');
+    if (queueFallback) {
+        queueFallback.addEventListener('change', () => {
+            JoinManager.setQueueFallbackMinutes(queueFallback.value);
+        });
     }
 });
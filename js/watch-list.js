@@ -0,0 +1,130 @@
+import Preferences from './preferences.js';
+import Notifier from './notifier.js';
+
+/**
+ * Watch List module
+ * Friends to send a desktop notification for when they enter a joinable match
+ */
+
+// Watched friends by Steam ID: {steamid, personaname}
+let watched = {};
+// Steam IDs that were joinable on the previous update; null until the first update sets the baseline
+let lastJoinable = null;
+let onChangeCallback = null;
+
+/**
+ * Load the watch list of the active profile
+ */
+function load() {
+    watched = {};
+    const list = Preferences.get('watch_list', []);
+    (Array.isArray(list) ? list : []).forEach(entry => {
+        if (entry && typeof entry.steamid === 'string') watched[entry.steamid] = entry;
+    });
+    lastJoinable = null;
+    notifyChange();
+}
+
+function notifyChange() {
+    if (onChangeCallback) onChangeCallback(getWatched());
+}
+
+function save() {
+    Preferences.set('watch_list', getWatched());
+    notifyChange();
+}
+
+/**
+ * Check whether a friend is watched
+ * @param {string} steamid
+ * @returns {boolean}
+ */
+function isWatched(steamid) {
+    return !!watched[steamid];
+}
+
+/**
+ * Get watched friends
+ * @returns {Array<{steamid: string, personaname: string}>}
+ */
+function getWatched() {
+    return Object.values(watched);
+}
+
+/**
+ * Watch or stop watching a friend
+ * @param {string} steamid
+ * @param {string} personaname
+ * @returns {boolean} - Whether the friend is watched now
+ */
+function toggle(steamid, personaname) {
+    if (watched[steamid]) {
+        delete watched[steamid];
+    } else {
+        watched[steamid] = { steamid, personaname: personaname || steamid };
+    }
+    save();
+    return !!watched[steamid];
+}
+
+/**
+ * Update the saved name of a friend who renamed
+ * @param {string} steamid
+ * @param {string} personaname
+ */
+function rename(steamid, personaname) {
+    if (!watched[steamid] || !personaname || watched[steamid].personaname === personaname) return;
+    watched[steamid].personaname = personaname;
+    save();
+}
+
+/**
+ * Compare joinable friends with the previous update and notify for watched friends that just became joinable
+ * The first update after loading only records the baseline
+ * @param {Array} joinableFriends - Friend status objects currently in a joinable match
+ * @param {Object} [joinStates] - Join states by Steam ID; friends already being joined are not announced
+ */
+function update(joinableFriends, joinStates = {}) {
+    const current = new Set(joinableFriends.map(friend => friend.steamid));
+    if (lastJoinable) {
+        for (const friend of joinableFriends) {
+            if (!watched[friend.steamid] || lastJoinable.has(friend.steamid)) continue;
+            const joinStatus = joinStates[friend.steamid]?.status;
+            if (joinStatus && joinStatus !== 'cancelled' && joinStatus !== 'joined') continue;
+            window.electronAPI.log('info', `Watched friend ${friend.steamid} entered a joinable match`);
+            Notifier.friendJoinable(friend);
+        }
+    }
+    lastJoinable = current;
+    // Keep stored names current
+    let renamed = false;
+    for (const friend of joinableFriends) {
+        const entry = watched[friend.steamid];
+        if (entry && friend.personaname && entry.personaname !== friend.personaname) {
+            entry.personaname = friend.personaname;
+            renamed = true;
+        }
+    }
+    if (renamed) save();
+}
+
+/**
+ * Set the handler called with the watched friends whenever the list changes
+ * @param {Function} callback
+ */
+function onChange(callback) {
+    onChangeCallback = callback;
+}
+
+// Public API for WatchList
+const WatchList = {
+    load,
+    isWatched,
+    getWatched,
+    toggle,
+    rename,
+    update,
+    onChange
+};
+
+export default WatchList;
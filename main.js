@@ -1,26 +1,16 @@
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, shell } = require('electron');
 const path = require('path');
-const fs = require('fs');
+const logger = require('./main/logger');
+const linkService = require('./main/link-service');
+const credentialStore = require('./main/credential-store');
+const settingsStore = require('./main/settings-store');
+const notificationService = require('./main/notification-service');
+const joinHistory = require('./main/join-history');
+const avatarCache = require('./main/avatar-cache');
 
-const SETTINGS_PATH = path.join(app.getPath('userData'), 'settings.json');
+let mainWindow = null;
 
-function readSettings() {
-  try {
-    if (fs.existsSync(SETTINGS_PATH)) {
-      return JSON.parse(fs.readFileSync(SETTINGS_PATH, 'utf-8'));
-    }
-  } catch (e) {}
-  return null;
-}
-
-function writeSettings(data) {
-  try {
-    fs.writeFileSync(SETTINGS_PATH, JSON.stringify(data, null, 2), 'utf-8');
-    return true;
-  } catch (e) {
-    return false;
-  }
-}
+avatarCache.registerScheme();
 
 function createWindow () {
   const win = new BrowserWindow({
@@ -39,15 +29,22 @@ function createWindow () {
     }
   });
 
+  mainWindow = win;
   win.loadFile('index.html');
   win.setMenuBarVisibility(false);
 
   win.webContents.setWindowOpenHandler(({ url }) => {
-    const { shell } = require('electron');
-    shell.openExternal(url);
+    linkService.open(url, 'window-open');
     return { action: 'deny' };
   });
 
+  // Links such as steam:// anchors must never navigate the app window itself
+  win.webContents.on('will-navigate', (event, url) => {
+    if (url === win.webContents.getURL()) return;
+    event.preventDefault();
+    linkService.open(url, 'navigation');
+  });
+
   ipcMain.on('window-minimize', () => {
     win.minimize();
   });
@@ -59,17 +56,109 @@ function createWindow () {
   win.webContents.on('did-finish-load', () => {
     win.show();
   });
+
+  // Stream new log entries to the in-app log viewer
+  const stopLogStream = logger.onEntry(entry => {
+    if (!win.isDestroyed()) win.webContents.send('log-entry', entry);
+  });
+  win.on('closed', () => {
+    stopLogStream();
+    if (mainWindow === win) mainWindow = null;
+  });
 }
 
 app.whenReady().then(() => {
+  logger.init();
+  logger.info(`Starting CS2 Casual Enjoyer v${app.getVersion()}`);
+
+  ipcMain.on('log-message', (event, level, message) => {
+    logger.log(level, message, 'renderer');
+  });
+
+  ipcMain.handle('logs-get', () => {
+    return logger.getRecentEntries();
+  });
+
+  ipcMain.handle('open-external', (event, url) => {
+    return linkService.open(url, 'renderer');
+  });
+
+  ipcMain.handle('logs-open-folder', () => {
+    return shell.openPath(logger.getLogDir());
+  });
+
+  notificationService.init(() => mainWindow);
+  ipcMain.handle('notify', (event, payload) => {
+    return notificationService.show(payload);
+  });
+
+  ipcMain.handle('join-history-add', (event, record) => {
+    return joinHistory.add(record);
+  });
+
+  ipcMain.handle('join-history-get', () => {
+    return joinHistory.list();
+  });
+
+  ipcMain.handle('join-history-export', (event, format) => {
+    return joinHistory.exportTo(format, mainWindow);
+  });
+
+  avatarCache.init();
+  ipcMain.handle('avatar-cache-lookup', (event, steamids) => {
+    return avatarCache.lookup(steamids);
+  });
+
+  ipcMain.handle('avatar-cache-refresh', (event, players) => {
+    return avatarCache.refresh(players);
+  });
+
   createWindow();
 
   ipcMain.handle('settings-load', () => {
-    return readSettings();
+    return settingsStore.read();
+  });
+
+  ipcMain.handle('settings-save', (event, data, profileName) => {
+    return settingsStore.write(data, typeof profileName === 'string' ? profileName : undefined);
   });
 
-  ipcMain.handle('settings-save', (event, data) => {
-    return writeSettings(data);
+  ipcMain.handle('profiles-list', () => {
+    return settingsStore.listProfiles();
+  });
+
+  ipcMain.handle('profiles-switch', (event, name) => {
+    return settingsStore.switchProfile(name);
+  });
+
+  ipcMain.handle('profiles-create', (event, name) => {
+    return settingsStore.createProfile(typeof name === 'string' ? name.trim() : name);
+  });
+
+  ipcMain.handle('profiles-delete', (event, name) => {
+    return settingsStore.deleteProfile(name);
+  });
+
+  ipcMain.handle('credentials-status', () => {
+    return credentialStore.getStatus();
+  });
+
+  ipcMain.handle('credentials-unlock', (event, passphrase) => {
+    const settings = settingsStore.unlock(passphrase);
+    if (!settings) {
+      logger.warn('Failed to unlock saved credentials: wrong passphrase');
+      return null;
+    }
+    logger.info('Saved credentials unlocked');
+    return settings;
+  });
+
+  ipcMain.handle('credentials-set-passphrase', (event, passphrase) => {
+    if (typeof passphrase !== 'string' || !passphrase) return false;
+    credentialStore.setPassphrase(passphrase);
+    logger.info('Credential passphrase set');
+    settingsStore.migratePlaintextCredentials();
+    return true;
   });
 
   ipcMain.handle('get-app-version', () => {
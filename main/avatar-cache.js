@@ -0,0 +1,279 @@
+const { app, net, protocol } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const { pathToFileURL } = require('url');
+const logger = require('./logger');
+
+const CACHE_DIR = path.join(app.getPath('userData'), 'avatar-cache');
+const INDEX_PATH = path.join(CACHE_DIR, 'index.json');
+const INDEX_VERSION = 1;
+// Images are served to the renderer as avatar://cache/<steamid>/<hash>
+// The host is fixed: the scheme is standard, so an all-digit host would be parsed as an IPv4 address
+const SCHEME = 'avatar';
+const HOST = 'cache';
+// Entries older than this are refreshed from player summaries even if the avatar hash did not change
+const TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_IMAGE_BYTES = 1024 * 1024;
+const MAX_PARALLEL_DOWNLOADS = 4;
+const MAX_NAME_LENGTH = 128;
+
+const STEAM_ID_REGEX = /^\d{17}$/;
+const HASH_REGEX = /^[0-9a-f]{40}$/i;
+// Avatars are only downloaded from Steam's CDN
+const AVATAR_HOST_REGEX = /(^|\.)steamstatic\.com$|^steamcdn-a\.akamaihd\.net$/;
+const EXTENSIONS = { 'image/jpeg': '.jpg', 'image/png': '.png', 'image/gif': '.gif' };
+// Image files are named <steamid><extension> and live directly in CACHE_DIR
+const FILE_REGEX = /^\d{17}\.(jpg|png|gif)$/;
+
+// Cache entries by Steam ID: {hash, url, file, fetchedAt, personaname}
+let entries = null;
+// Downloads in progress by Steam ID, so a friend is never downloaded twice at once
+const downloads = new Map();
+
+function isValidEntry(entry) {
+  return !!entry && typeof entry === 'object' &&
+    typeof entry.hash === 'string' && typeof entry.url === 'string' &&
+    (entry.file === null || (typeof entry.file === 'string' && FILE_REGEX.test(entry.file))) &&
+    Number.isFinite(entry.fetchedAt);
+}
+
+function load() {
+  if (entries) return entries;
+  entries = {};
+  if (!fs.existsSync(INDEX_PATH)) return entries;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(INDEX_PATH, 'utf-8'));
+    const stored = parsed && parsed.entries && typeof parsed.entries === 'object' ? parsed.entries : {};
+    for (const [steamid, entry] of Object.entries(stored)) {
+      if (STEAM_ID_REGEX.test(steamid) && isValidEntry(entry)) entries[steamid] = entry;
+    }
+  } catch (e) {
+    // The images can always be downloaded again, so an unreadable index simply starts over
+    logger.warn('Failed to read avatar cache index, starting with an empty cache: ' + e.message);
+  }
+  return entries;
+}
+
+function persist() {
+  const tempPath = INDEX_PATH + '.tmp';
+  try {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify({ version: INDEX_VERSION, entries }), 'utf-8');
+    fs.renameSync(tempPath, INDEX_PATH);
+  } catch (e) {
+    logger.error('Failed to save avatar cache index: ' + e.message);
+  }
+}
+
+/**
+ * Get the entry of a friend, ignoring members inherited from Object.prototype
+ * @param {string} steamid
+ * @returns {Object|null}
+ */
+function getEntry(steamid) {
+  const cache = load();
+  return STEAM_ID_REGEX.test(steamid) && Object.hasOwn(cache, steamid) ? cache[steamid] : null;
+}
+
+function getFilePath(entry) {
+  return entry && entry.file ? path.join(CACHE_DIR, entry.file) : null;
+}
+
+function hasImage(entry) {
+  const file = getFilePath(entry);
+  return !!file && fs.existsSync(file);
+}
+
+/**
+ * Get the avatar hash of a player summary
+ * Summaries from the key endpoint carry avatarhash; otherwise it is the file name of the avatar URL
+ * @param {Object} player
+ * @returns {string|null}
+ */
+function getAvatarHash(player) {
+  if (typeof player.avatarhash === 'string' && HASH_REGEX.test(player.avatarhash)) return player.avatarhash.toLowerCase();
+  const match = /\/([0-9a-f]{40})(?:_full)?\.\w+$/i.exec(player.avatarfull || '');
+  return match ? match[1].toLowerCase() : null;
+}
+
+function isAllowedUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' && AVATAR_HOST_REGEX.test(parsed.hostname);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Describe an entry for the renderer
+ * @param {string} steamid
+ * @param {Object} entry
+ * @returns {{src: string|null, personaname: string}} - src is null while no image is cached
+ */
+function toPublicEntry(steamid, entry) {
+  return {
+    src: hasImage(entry) ? `${SCHEME}://${HOST}/${steamid}/${entry.hash}` : null,
+    personaname: entry.personaname || ''
+  };
+}
+
+/**
+ * Download the image of an entry and store it next to the index
+ * @param {string} steamid
+ * @param {Object} entry - Updated in place on success
+ * @returns {Promise<boolean>}
+ */
+async function download(steamid, entry) {
+  if (downloads.has(steamid)) return downloads.get(steamid);
+  const task = (async () => {
+    try {
+      const response = await net.fetch(entry.url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      // Redirects are followed, so the final URL must be on Steam's CDN too
+      if (response.url && !isAllowedUrl(response.url)) throw new Error(`redirected to a disallowed host: ${response.url}`);
+      const type = String(response.headers.get('content-type') || '').split(';')[0].trim();
+      const extension = EXTENSIONS[type];
+      if (!extension) throw new Error(`unexpected content type "${type}"`);
+      const data = Buffer.from(await response.arrayBuffer());
+      if (data.length > MAX_IMAGE_BYTES) throw new Error(`image is too large (${data.length} bytes)`);
+      const file = steamid + extension;
+      const filePath = path.join(CACHE_DIR, file);
+      fs.mkdirSync(CACHE_DIR, { recursive: true });
+      fs.writeFileSync(filePath + '.tmp', data);
+      fs.renameSync(filePath + '.tmp', filePath);
+      if (entry.file && entry.file !== file) fs.rmSync(path.join(CACHE_DIR, entry.file), { force: true });
+      entry.file = file;
+      return true;
+    } catch (e) {
+      logger.warn(`Failed to download avatar of ${steamid}: ${e.message}`);
+      return false;
+    } finally {
+      downloads.delete(steamid);
+    }
+  })();
+  downloads.set(steamid, task);
+  return task;
+}
+
+/**
+ * Run tasks with a limited number in flight
+ * @param {Array<Function>} tasks - Functions returning promises
+ * @param {number} limit
+ */
+async function runLimited(tasks, limit) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, tasks.length) }, async () => {
+    while (next < tasks.length) await tasks[next++]();
+  });
+  await Promise.all(workers);
+}
+
+/**
+ * Look up cached avatars and names
+ * @param {Array<string>} steamids
+ * @returns {{entries: Object, stale: Array<string>}}
+ *   entries by Steam ID; stale lists ids without an entry, without an image or past the TTL
+ */
+function lookup(steamids) {
+  const result = { entries: {}, stale: [] };
+  const now = Date.now();
+  (Array.isArray(steamids) ? steamids : []).filter(id => STEAM_ID_REGEX.test(id)).forEach(steamid => {
+    const entry = getEntry(steamid);
+    if (entry) result.entries[steamid] = toPublicEntry(steamid, entry);
+    if (!entry || !hasImage(entry) || now - entry.fetchedAt > TTL_MS) result.stale.push(steamid);
+  });
+  return result;
+}
+
+/**
+ * Update the cache from player summaries: download changed or expired avatars and keep names current
+ * @param {Array<{steamid: string, personaname: string, avatarfull: string, avatarhash?: string}>} players
+ * @returns {Promise<{entries: Object, renamed: Array<{steamid: string, personaname: string, previousName: string}>}>}
+ */
+async function refresh(players) {
+  const cache = load();
+  const result = { entries: {}, renamed: [] };
+  const now = Date.now();
+  const tasks = [];
+  (Array.isArray(players) ? players : []).forEach(player => {
+    if (!player || !STEAM_ID_REGEX.test(player.steamid) || !isAllowedUrl(player.avatarfull)) return;
+    const hash = getAvatarHash(player);
+    if (!hash) return;
+    const personaname = typeof player.personaname === 'string' ? player.personaname.slice(0, MAX_NAME_LENGTH) : '';
+    const entry = getEntry(player.steamid);
+    if (entry && entry.personaname && personaname && entry.personaname !== personaname) {
+      result.renamed.push({ steamid: player.steamid, personaname, previousName: entry.personaname });
+    }
+    const expired = !entry || entry.hash !== hash || now - entry.fetchedAt > TTL_MS || !hasImage(entry);
+    if (!entry) {
+      cache[player.steamid] = { hash, url: player.avatarfull, file: null, fetchedAt: now, personaname };
+    } else {
+      Object.assign(entry, { hash, url: player.avatarfull, personaname: personaname || entry.personaname });
+    }
+    if (expired) {
+      tasks.push(async () => {
+        const updated = cache[player.steamid];
+        if (await download(player.steamid, updated)) updated.fetchedAt = Date.now();
+      });
+    }
+  });
+  await runLimited(tasks, MAX_PARALLEL_DOWNLOADS);
+  if (tasks.length) logger.info(`Avatar cache: refreshed ${tasks.length} avatars`);
+  persist();
+  (Array.isArray(players) ? players : []).forEach(player => {
+    const entry = player && getEntry(player.steamid);
+    if (entry) result.entries[player.steamid] = toPublicEntry(player.steamid, entry);
+  });
+  return result;
+}
+
+/**
+ * Serve a cached image for an avatar:// request
+ * Images that went missing from disk are downloaded again from their last known URL
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function handleRequest(request) {
+  let url;
+  try {
+    url = new URL(request.url);
+  } catch (e) {
+    return new Response(null, { status: 400 });
+  }
+  const steamid = url.pathname.split('/')[1];
+  if (url.hostname !== HOST || !STEAM_ID_REGEX.test(steamid)) return new Response(null, { status: 400 });
+  const entry = getEntry(steamid);
+  if (!entry) return new Response(null, { status: 404 });
+  if (!hasImage(entry)) {
+    if (!(await download(steamid, entry))) return new Response(null, { status: 404 });
+    persist();
+  }
+  return net.fetch(pathToFileURL(getFilePath(entry)).toString());
+}
+
+/**
+ * Register the avatar scheme. Must be called before the app is ready.
+ */
+function registerScheme() {
+  protocol.registerSchemesAsPrivileged([
+    { scheme: SCHEME, privileges: { standard: true, secure: true } }
+  ]);
+}
+
+/**
+ * Start serving cached avatars. Call once the app is ready.
+ */
+function init() {
+  protocol.handle(SCHEME, handleRequest);
+}
+
+module.exports = {
+  SCHEME,
+  TTL_MS,
+  registerScheme,
+  init,
+  lookup,
+  refresh,
+  getAvatarHash
+};
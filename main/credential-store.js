@@ -0,0 +1,160 @@
+const { safeStorage } = require('electron');
+const crypto = require('crypto');
+
+// Settings fields that are never written to disk in plain text
+const SECRET_FIELDS = ['auth', 'steam_id'];
+
+const PASSPHRASE_CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+
+// The user's passphrase, kept in memory only. Each profile's credentials carry their own salt,
+// so keys are derived per salt and every profile stays readable with the same passphrase.
+let currentPassphrase = null;
+// Derived keys by base64 salt, as scrypt is deliberately slow
+const derivedKeys = new Map();
+
+/**
+ * Encryption mode available on this machine
+ * @returns {'safeStorage'|'passphrase'}
+ */
+function getMode() {
+  return safeStorage.isEncryptionAvailable() ? 'safeStorage' : 'passphrase';
+}
+
+function isUnlocked() {
+  return getMode() === 'safeStorage' || currentPassphrase !== null;
+}
+
+function getStatus() {
+  return { mode: getMode(), unlocked: isUnlocked() };
+}
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(String(passphrase), salt, KEY_LENGTH);
+}
+
+/**
+ * Get the key for a salt, deriving it from the current passphrase once
+ * @param {string} salt - Base64 salt stored with the credentials
+ * @returns {Buffer}
+ */
+function getKey(salt) {
+  if (!derivedKeys.has(salt)) derivedKeys.set(salt, deriveKey(currentPassphrase, Buffer.from(salt, 'base64')));
+  return derivedKeys.get(salt);
+}
+
+/**
+ * Use a new passphrase for future writes
+ * @param {string} passphrase
+ */
+function setPassphrase(passphrase) {
+  currentPassphrase = String(passphrase);
+  derivedKeys.clear();
+}
+
+/**
+ * Split settings into secret and non-secret parts
+ * @param {Object} data
+ * @returns {{secrets: Object, rest: Object}}
+ */
+function splitSecrets(data) {
+  const secrets = {};
+  const rest = { ...data };
+  for (const field of SECRET_FIELDS) {
+    if (rest[field] !== undefined) secrets[field] = rest[field];
+    delete rest[field];
+  }
+  return { secrets, rest };
+}
+
+function hasPlaintextSecrets(data) {
+  return !!data && SECRET_FIELDS.some(field => data[field] !== undefined);
+}
+
+/**
+ * Encrypt secrets with safeStorage, or with the passphrase when safeStorage is unavailable
+ * @param {Object} secrets
+ * @param {Object} [previous] - The profile's current blob; its salt is kept, a profile without one gets a fresh salt
+ * @returns {Object} - Encrypted blob to store in settings
+ */
+function encrypt(secrets, previous) {
+  const plaintext = JSON.stringify(secrets);
+  if (getMode() === 'safeStorage') {
+    return { scheme: 'safeStorage', data: safeStorage.encryptString(plaintext).toString('base64') };
+  }
+  if (currentPassphrase === null) throw new Error('PASSPHRASE_REQUIRED');
+  const salt = previous && previous.scheme === 'passphrase' && typeof previous.salt === 'string'
+    ? previous.salt
+    : crypto.randomBytes(16).toString('base64');
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(PASSPHRASE_CIPHER, getKey(salt), iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf-8'), cipher.final()]);
+  return {
+    scheme: 'passphrase',
+    salt,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decryptWithKey(blob, key) {
+  const decipher = crypto.createDecipheriv(PASSPHRASE_CIPHER, key, Buffer.from(blob.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(blob.tag, 'base64'));
+  const plaintext = Buffer.concat([decipher.update(Buffer.from(blob.data, 'base64')), decipher.final()]);
+  return JSON.parse(plaintext.toString('utf-8'));
+}
+
+/**
+ * Decrypt an encrypted blob
+ * @param {Object} blob
+ * @returns {Object} - Secrets
+ * @throws {Error} LOCKED when the passphrase has not been entered yet, or the blob was encrypted with another one
+ */
+function decrypt(blob) {
+  if (blob.scheme === 'safeStorage') {
+    if (!safeStorage.isEncryptionAvailable()) throw new Error('SAFE_STORAGE_UNAVAILABLE');
+    return JSON.parse(safeStorage.decryptString(Buffer.from(blob.data, 'base64')));
+  }
+  if (blob.scheme === 'passphrase') {
+    if (currentPassphrase === null || typeof blob.salt !== 'string') throw new Error('LOCKED');
+    try {
+      return decryptWithKey(blob, getKey(blob.salt));
+    } catch (e) {
+      throw new Error('LOCKED');
+    }
+  }
+  throw new Error('UNKNOWN_SCHEME');
+}
+
+/**
+ * Try a passphrase against an encrypted blob and keep the key if it matches
+ * @param {Object} blob
+ * @param {string} passphrase
+ * @returns {Object|null} - Secrets, or null if the passphrase is wrong
+ */
+function unlock(blob, passphrase) {
+  if (!blob || blob.scheme !== 'passphrase' || typeof blob.salt !== 'string') return null;
+  const key = deriveKey(passphrase, Buffer.from(blob.salt, 'base64'));
+  try {
+    const secrets = decryptWithKey(blob, key);
+    setPassphrase(passphrase);
+    derivedKeys.set(blob.salt, key);
+    return secrets;
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  SECRET_FIELDS,
+  getMode,
+  getStatus,
+  isUnlocked,
+  setPassphrase,
+  splitSecrets,
+  hasPlaintextSecrets,
+  encrypt,
+  decrypt,
+  unlock
+};
@@ -0,0 +1,183 @@
+const { app, dialog } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const logger = require('./logger');
+
+const HISTORY_PATH = path.join(app.getPath('userData'), 'join-history.json');
+const TEMP_PATH = HISTORY_PATH + '.tmp';
+const HISTORY_VERSION = 1;
+// Oldest records are dropped past this count
+const MAX_RECORDS = 5000;
+
+const OUTCOMES = ['joined', 'cancelled', 'timed-out'];
+const SOURCES = ['single', 'queue'];
+const STEAM_ID_REGEX = /^\d{17}$/;
+const MAX_TEXT_LENGTH = 128;
+
+// Column order of the CSV export
+const CSV_COLUMNS = [
+  'started_at', 'ended_at', 'steamid', 'personaname', 'map', 'mode', 'source',
+  'outcome', 'waiting_ms', 'connecting_ms', 'missing_ms', 'time_to_join_ms'
+];
+
+let records = null;
+
+function clampText(value) {
+  return typeof value === 'string' ? value.slice(0, MAX_TEXT_LENGTH) : '';
+}
+
+function toDuration(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? Math.round(number) : 0;
+}
+
+function toTimestamp(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Validate a record sent by the renderer and keep only known fields
+ * @param {Object} raw
+ * @returns {Object|null} - null if the record is malformed
+ */
+function sanitizeRecord(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  if (!STEAM_ID_REGEX.test(raw.steamid || '') || !OUTCOMES.includes(raw.outcome)) return null;
+  const startedAt = toTimestamp(raw.startedAt);
+  const endedAt = toTimestamp(raw.endedAt);
+  if (!startedAt || !endedAt) return null;
+  return {
+    steamid: raw.steamid,
+    personaname: clampText(raw.personaname),
+    map: clampText(raw.map),
+    mode: clampText(raw.mode),
+    source: SOURCES.includes(raw.source) ? raw.source : 'single',
+    startedAt,
+    endedAt,
+    outcome: raw.outcome,
+    waitingMs: toDuration(raw.waitingMs),
+    connectingMs: toDuration(raw.connectingMs),
+    missingMs: toDuration(raw.missingMs),
+    timeToJoinMs: raw.outcome === 'joined' ? toDuration(raw.timeToJoinMs) : null
+  };
+}
+
+function load() {
+  if (records) return records;
+  records = [];
+  if (!fs.existsSync(HISTORY_PATH)) return records;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(HISTORY_PATH, 'utf-8'));
+    const stored = parsed && Array.isArray(parsed.records) ? parsed.records : [];
+    records = stored.map(sanitizeRecord).filter(Boolean).slice(-MAX_RECORDS);
+  } catch (e) {
+    logger.error('Failed to read join history: ' + e.message);
+    const corruptPath = `${HISTORY_PATH}.corrupt-${Date.now()}`;
+    try {
+      fs.renameSync(HISTORY_PATH, corruptPath);
+      logger.warn(`Moved unreadable join history to ${path.basename(corruptPath)}`);
+    } catch (renameError) {
+      logger.error('Failed to move unreadable join history aside: ' + renameError.message);
+    }
+  }
+  return records;
+}
+
+function save() {
+  const fd = fs.openSync(TEMP_PATH, 'w');
+  try {
+    fs.writeSync(fd, JSON.stringify({ version: HISTORY_VERSION, records }), null, 'utf-8');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(TEMP_PATH, HISTORY_PATH);
+}
+
+/**
+ * Append a finished join attempt
+ * @param {Object} raw - Record from the renderer
+ * @returns {boolean} - Whether the record was stored
+ */
+function add(raw) {
+  const record = sanitizeRecord(raw);
+  if (!record) {
+    logger.warn('Rejected malformed join history record');
+    return false;
+  }
+  load().push(record);
+  if (records.length > MAX_RECORDS) records.splice(0, records.length - MAX_RECORDS);
+  try {
+    save();
+    return true;
+  } catch (e) {
+    logger.error('Failed to save join history: ' + e.message);
+    return false;
+  }
+}
+
+/**
+ * Get all stored records, oldest first
+ * @returns {Array<Object>}
+ */
+function list() {
+  return load().map(record => ({ ...record }));
+}
+
+/**
+ * Quote a CSV field when needed. Fields that a spreadsheet would run as a formula get a leading quote.
+ * @param {*} value
+ * @returns {string}
+ */
+function toCsvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = "'" + text;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const lines = rows.map(r => [
+    r.startedAt, r.endedAt, r.steamid, r.personaname, r.map, r.mode, r.source,
+    r.outcome, r.waitingMs, r.connectingMs, r.missingMs, r.timeToJoinMs
+  ].map(toCsvField).join(','));
+  return [CSV_COLUMNS.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+/**
+ * Ask for a file name and write the history as CSV or JSON
+ * @param {string} format - "csv" or "json"
+ * @param {BrowserWindow|null} win - Parent window of the save dialog
+ * @returns {Promise<{ok: boolean, path?: string, reason?: string}>}
+ */
+async function exportTo(format, win) {
+  if (format !== 'csv' && format !== 'json') return { ok: false, reason: 'unsupported-format' };
+  const date = new Date().toISOString().slice(0, 10);
+  const options = {
+    title: 'Export join history',
+    defaultPath: path.join(app.getPath('documents'), `join-history-${date}.${format}`),
+    filters: [format === 'csv'
+      ? { name: 'CSV', extensions: ['csv'] }
+      : { name: 'JSON', extensions: ['json'] }]
+  };
+  const result = win ? await dialog.showSaveDialog(win, options) : await dialog.showSaveDialog(options);
+  if (result.canceled || !result.filePath) return { ok: false, reason: 'cancelled' };
+  const rows = list();
+  const content = format === 'csv'
+    ? toCsv(rows)
+    : JSON.stringify({ version: HISTORY_VERSION, exportedAt: new Date().toISOString(), records: rows }, null, 2);
+  try {
+    fs.writeFileSync(result.filePath, content, 'utf-8');
+  } catch (e) {
+    logger.error('Failed to export join history: ' + e.message);
+    return { ok: false, reason: 'write-failed' };
+  }
+  logger.info(`Exported ${rows.length} join history records to ${result.filePath}`);
+  return { ok: true, path: result.filePath };
+}
+
+module.exports = {
+  add,
+  list,
+  exportTo
+};
@@ -0,0 +1,76 @@
+const { shell } = require('electron');
+const logger = require('./logger');
+
+// https hosts that may be opened in the default browser or via steam://openurl/
+const ALLOWED_HOSTS = ['steamcommunity.com', 'store.steampowered.com'];
+// steam:// commands the app uses
+const ALLOWED_STEAM_COMMANDS = ['rungame', 'openurl', 'url'];
+// Only CS2 may be launched
+const CS2_APP_ID = '730';
+
+const RUNGAME_REGEX = /^steam:\/\/rungame\/(\d+)\/(\d{17})\/(\+gcconnect[A-Za-z0-9:_-]+)$/;
+const STEAM_URL_PAGE_REGEX = /^steam:\/\/url\/[A-Za-z0-9_]+\/?$/;
+
+function validateHttpsUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return { ok: false, reason: 'Malformed URL' };
+  }
+  if (parsed.protocol !== 'https:') return { ok: false, reason: `Scheme ${parsed.protocol} is not allowed` };
+  if (!ALLOWED_HOSTS.includes(parsed.hostname)) return { ok: false, reason: `Host ${parsed.hostname} is not allowed` };
+  return { ok: true };
+}
+
+function validateRungame(url) {
+  const match = url.match(RUNGAME_REGEX);
+  if (!match) return { ok: false, reason: 'Malformed steam://rungame payload' };
+  if (match[1] !== CS2_APP_ID) return { ok: false, reason: `App ${match[1]} is not allowed` };
+  return { ok: true };
+}
+
+/**
+ * Check a URL against the scheme/host allowlist
+ * @param {string} url
+ * @returns {{ok: boolean, reason?: string}}
+ */
+function validate(url) {
+  if (typeof url !== 'string' || !url) return { ok: false, reason: 'Empty URL' };
+  if (url.startsWith('steam://')) {
+    const command = url.slice('steam://'.length).split('/')[0];
+    if (!ALLOWED_STEAM_COMMANDS.includes(command)) return { ok: false, reason: `steam://${command} is not allowed` };
+    if (command === 'rungame') return validateRungame(url);
+    if (command === 'openurl') return validateHttpsUrl(url.slice('steam://openurl/'.length));
+    if (!STEAM_URL_PAGE_REGEX.test(url)) return { ok: false, reason: 'Malformed steam://url payload' };
+    return { ok: true };
+  }
+  return validateHttpsUrl(url);
+}
+
+/**
+ * Validate and open an external link, logging every attempt
+ * @param {string} url
+ * @param {string} [source] - Where the request came from, for the log
+ * @returns {Promise<{ok: boolean, reason?: string}>}
+ */
+async function open(url, source = 'renderer') {
+  const result = validate(url);
+  if (!result.ok) {
+    logger.warn(`Blocked external link from ${source}: ${url} (${result.reason})`);
+    return result;
+  }
+  logger.info(`Opening external link from ${source}: ${url}`);
+  try {
+    await shell.openExternal(url);
+    return { ok: true };
+  } catch (e) {
+    logger.error(`Failed to open external link ${url}: ${e.message}`);
+    return { ok: false, reason: e.message };
+  }
+}
+
+module.exports = {
+  validate,
+  open
+};
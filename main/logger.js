@@ -0,0 +1,148 @@
+const { app } = require('electron');
+const path = require('path');
+const fs = require('fs');
+
+// Levels in ascending severity
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+// Rotate app.log once it grows past this size
+const MAX_FILE_SIZE = 1024 * 1024;
+// app.log plus app.1.log ... app.4.log
+const MAX_FILES = 5;
+// Entries kept in memory for the log viewer
+const MAX_RECENT_ENTRIES = 2000;
+
+const LINE_REGEX = /^(\S+) \[(\w+)\] \[(\w+)\] (.*)$/;
+
+const recentEntries = [];
+const listeners = new Set();
+let logDir = null;
+
+function getLogDir() {
+  if (!logDir) {
+    logDir = path.join(app.getPath('userData'), 'logs');
+    fs.mkdirSync(logDir, { recursive: true });
+  }
+  return logDir;
+}
+
+function getLogFile(index = 0) {
+  return path.join(getLogDir(), index ? `app.${index}.log` : 'app.log');
+}
+
+function normalizeLevel(level) {
+  const value = String(level || '').toLowerCase();
+  return LEVELS.includes(value) ? value : 'info';
+}
+
+function formatEntry(entry) {
+  // Keep one entry per line so the files stay greppable
+  const message = entry.message.replace(/\r?\n/g, '\\n');
+  return `${entry.timestamp} [${entry.level.toUpperCase()}] [${entry.source}] ${message}\n`;
+}
+
+function parseLine(line) {
+  const match = line.match(LINE_REGEX);
+  if (!match) return null;
+  return {
+    timestamp: match[1],
+    level: normalizeLevel(match[2]),
+    source: match[3],
+    message: match[4].replace(/\\n/g, '\n')
+  };
+}
+
+function rotateIfNeeded() {
+  let size = 0;
+  try {
+    size = fs.statSync(getLogFile()).size;
+  } catch (e) {
+    return;
+  }
+  if (size < MAX_FILE_SIZE) return;
+  const oldest = getLogFile(MAX_FILES - 1);
+  if (fs.existsSync(oldest)) fs.unlinkSync(oldest);
+  for (let i = MAX_FILES - 2; i >= 0; i--) {
+    const from = getLogFile(i);
+    if (fs.existsSync(from)) fs.renameSync(from, getLogFile(i + 1));
+  }
+}
+
+function remember(entry) {
+  recentEntries.push(entry);
+  if (recentEntries.length > MAX_RECENT_ENTRIES) {
+    recentEntries.splice(0, recentEntries.length - MAX_RECENT_ENTRIES);
+  }
+}
+
+/**
+ * Load the tail of the current log file so the viewer also shows the previous session
+ */
+function init() {
+  try {
+    const file = getLogFile();
+    if (!fs.existsSync(file)) return;
+    const lines = fs.readFileSync(file, 'utf-8').split('\n').filter(Boolean);
+    lines.slice(-MAX_RECENT_ENTRIES).forEach(line => {
+      const entry = parseLine(line);
+      if (entry) remember(entry);
+    });
+  } catch (e) {
+    console.error('Failed to read previous log file:', e);
+  }
+}
+
+/**
+ * Write a log entry
+ * @param {string} level - debug, info, warn or error
+ * @param {string} message
+ * @param {string} [source] - main or renderer
+ */
+function log(level, message, source = 'main') {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level: normalizeLevel(level),
+    source: source === 'renderer' ? 'renderer' : 'main',
+    message: typeof message === 'string' ? message : String(message)
+  };
+  remember(entry);
+  try {
+    rotateIfNeeded();
+    fs.appendFileSync(getLogFile(), formatEntry(entry), 'utf-8');
+  } catch (e) {
+    console.error('Failed to write log file:', e);
+  }
+  listeners.forEach(listener => {
+    try {
+      listener(entry);
+    } catch (e) {
+      console.error('Log listener failed:', e);
+    }
+  });
+}
+
+function getRecentEntries() {
+  return recentEntries.slice();
+}
+
+/**
+ * Subscribe to new log entries
+ * @param {Function} listener
+ * @returns {Function} - Unsubscribe function
+ */
+function onEntry(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+module.exports = {
+  LEVELS,
+  init,
+  log,
+  debug: (message) => log('debug', message),
+  info: (message) => log('info', message),
+  warn: (message) => log('warn', message),
+  error: (message) => log('error', message),
+  getRecentEntries,
+  getLogDir,
+  onEntry
+};
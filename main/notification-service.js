@@ -0,0 +1,76 @@
+const { Notification } = require('electron');
+const logger = require('./logger');
+
+// Notification kinds the renderer may request
+const KINDS = ['friend-joinable', 'join-success', 'join-cancelled', 'token-expiring', 'token-expired'];
+const STEAM_ID_REGEX = /^\d{17}$/;
+const MAX_TEXT_LENGTH = 200;
+
+// Keep references so notifications are not garbage collected before they are clicked
+const active = new Set();
+
+let getWindow = () => null;
+
+/**
+ * Set how the service finds the app window to focus on click
+ * @param {Function} windowGetter - Returns the BrowserWindow or null
+ */
+function init(windowGetter) {
+  getWindow = windowGetter;
+}
+
+function focusWindow() {
+  const win = getWindow();
+  if (!win || win.isDestroyed()) return null;
+  if (win.isMinimized()) win.restore();
+  win.show();
+  win.focus();
+  return win;
+}
+
+function clampText(value) {
+  return typeof value === 'string' ? value.slice(0, MAX_TEXT_LENGTH) : '';
+}
+
+/**
+ * Show a native notification. Clicking it focuses the window and tells the renderer which friend it was about.
+ * @param {{kind: string, title: string, body: string, friendId: string, personaname?: string}} payload
+ * @returns {boolean} - Whether the notification was shown
+ */
+function show(payload) {
+  if (!payload || !KINDS.includes(payload.kind) || !STEAM_ID_REGEX.test(payload.friendId || '')) {
+    logger.warn('Rejected malformed notification request');
+    return false;
+  }
+  if (!Notification.isSupported()) {
+    logger.debug('Native notifications are not supported on this system');
+    return false;
+  }
+  const notification = new Notification({
+    title: clampText(payload.title),
+    body: clampText(payload.body),
+    silent: payload.kind === 'join-success'
+  });
+  const release = () => active.delete(notification);
+  notification.on('click', () => {
+    release();
+    const win = focusWindow();
+    if (win) {
+      win.webContents.send('notification-click', {
+        kind: payload.kind,
+        friendId: payload.friendId,
+        personaname: clampText(payload.personaname)
+      });
+    }
+  });
+  notification.on('close', release);
+  active.add(notification);
+  notification.show();
+  logger.info(`Notification (${payload.kind}) for ${payload.friendId}`);
+  return true;
+}
+
+module.exports = {
+  init,
+  show
+};
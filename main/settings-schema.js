@@ -0,0 +1,156 @@
+const logger = require('./logger');
+
+// Version written by this build. Bump it and add a migration when the stored shape changes.
+const SCHEMA_VERSION = 2;
+
+// Profile created when migrating single-account settings
+const DEFAULT_PROFILE = 'Default';
+const MAX_PROFILE_NAME_LENGTH = 32;
+
+const STEAM_ID_REGEX = /^\d{17}$/;
+const API_KEY_REGEX = /^[A-Z0-9]{32}$/i;
+const TOKEN_REGEX = /^[\w-]+\.[\w-]+\.[\w-]+$/;
+
+/**
+ * Extract the webapi_token from a pasted JSON blob, or return the input as is
+ * @param {string} value
+ * @returns {string}
+ */
+function extractApiKeyOrToken(value) {
+  try {
+    const parsed = JSON.parse(value);
+    if (parsed && parsed.data && parsed.data.webapi_token) return parsed.data.webapi_token;
+  } catch (e) {}
+  return value;
+}
+
+/**
+ * Migrations keyed by the version they upgrade from. Each returns the document for the next version.
+ */
+const MIGRATIONS = {
+  // v0: unversioned files; very old builds stored the key as api_key
+  0: (doc) => {
+    const next = { ...doc };
+    if (next.api_key !== undefined) {
+      if (next.auth === undefined && !next.credentials && typeof next.api_key === 'string') {
+        next.auth = extractApiKeyOrToken(next.api_key);
+      }
+      delete next.api_key;
+    }
+    return next;
+  },
+  // v1: single account at the top level; v2 keeps each account in a named profile
+  1: (doc) => {
+    const { version, ...profile } = doc;
+    return {
+      active_profile: DEFAULT_PROFILE,
+      profiles: { [DEFAULT_PROFILE]: { ...profile, preferences: {} } }
+    };
+  }
+};
+
+/**
+ * Run the migration chain up to the current schema version
+ * @param {Object} doc - Stored settings document
+ * @returns {{doc: Object, migrated: boolean}}
+ */
+function migrate(doc) {
+  let current = { ...doc };
+  let version = Number.isInteger(current.version) ? current.version : 0;
+  if (version > SCHEMA_VERSION) {
+    logger.warn(`Settings schema v${version} is newer than supported v${SCHEMA_VERSION}, reading as is`);
+    return { doc: current, migrated: false };
+  }
+  const startVersion = version;
+  while (version < SCHEMA_VERSION) {
+    const step = MIGRATIONS[version];
+    if (!step) throw new Error(`No settings migration from v${version}`);
+    current = step(current);
+    version += 1;
+    current.version = version;
+    logger.info(`Migrated settings from v${version - 1} to v${version}`);
+  }
+  return { doc: current, migrated: version !== startVersion };
+}
+
+function isValidAuth(value) {
+  return typeof value === 'string' && (API_KEY_REGEX.test(value) || TOKEN_REGEX.test(value));
+}
+
+function isValidAvatarEntry(value) {
+  return !!value && typeof value === 'object' && typeof value.avatarfull === 'string';
+}
+
+function isValidCredentialsBlob(value) {
+  return !!value && typeof value === 'object' && typeof value.scheme === 'string' && typeof value.data === 'string';
+}
+
+/**
+ * Check a profile name
+ * Names of Object.prototype members such as __proto__ or toString are reserved, as profiles are keyed by name
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isValidProfileName(name) {
+  return typeof name === 'string' && name.trim() === name && name.length > 0 && name.length <= MAX_PROFILE_NAME_LENGTH &&
+    !(name in Object.prototype);
+}
+
+/**
+ * Validate every known field of a profile, dropping invalid values instead of failing the whole file
+ * @param {Object} doc - Profile settings with credentials decrypted or encrypted
+ * @param {Array<string>} [errors] - Receives a message for each dropped field, for callers that must not drop silently
+ * @returns {Object} - Sanitized copy
+ */
+function validate(doc, errors = []) {
+  const result = { ...doc };
+  const drop = (field, reason) => {
+    logger.warn(`Dropping invalid settings field ${field}: ${reason}`);
+    errors.push(`${field}: ${reason}`);
+    delete result[field];
+  };
+
+  if (result.steam_id !== undefined && !(typeof result.steam_id === 'string' && STEAM_ID_REGEX.test(result.steam_id))) {
+    drop('steam_id', 'expected a 17-digit SteamID64');
+  }
+  if (result.auth !== undefined && !isValidAuth(result.auth)) {
+    drop('auth', 'expected an API key or webapi token');
+  }
+  if (result.credentials !== undefined && !isValidCredentialsBlob(result.credentials)) {
+    drop('credentials', 'malformed encrypted credentials');
+  }
+  if (result.friends_ids !== undefined) {
+    if (!Array.isArray(result.friends_ids)) {
+      drop('friends_ids', 'expected an array');
+    } else {
+      const ids = result.friends_ids.map(String).filter(id => STEAM_ID_REGEX.test(id));
+      if (ids.length !== result.friends_ids.length) {
+        logger.warn(`Dropped ${result.friends_ids.length - ids.length} invalid entries from friends_ids`);
+      }
+      result.friends_ids = [...new Set(ids)];
+    }
+  }
+  if (result.avatars !== undefined) {
+    if (!result.avatars || typeof result.avatars !== 'object' || Array.isArray(result.avatars)) {
+      drop('avatars', 'expected an object');
+    } else {
+      const avatars = {};
+      for (const [sid, entry] of Object.entries(result.avatars)) {
+        if (STEAM_ID_REGEX.test(sid) && isValidAvatarEntry(entry)) avatars[sid] = entry;
+      }
+      result.avatars = avatars;
+    }
+  }
+  if (result.preferences !== undefined && (!result.preferences || typeof result.preferences !== 'object' || Array.isArray(result.preferences))) {
+    drop('preferences', 'expected an object');
+  }
+  return result;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  DEFAULT_PROFILE,
+  migrate,
+  validate,
+  isValidProfileName
+};
@@ -0,0 +1,323 @@
+const { app } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const logger = require('./logger');
+const credentialStore = require('./credential-store');
+const settingsSchema = require('./settings-schema');
+
+const SETTINGS_PATH = path.join(app.getPath('userData'), 'settings.json');
+const BACKUP_PATH = SETTINGS_PATH + '.bak';
+const TEMP_PATH = SETTINGS_PATH + '.tmp';
+
+// Flags that describe the loaded credential state and are never persisted
+const CREDENTIAL_STATE_FLAGS = ['credentials_locked', 'credentials_unreadable', 'credentials_need_passphrase'];
+
+function parseFile(file) {
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('Settings root is not an object');
+  return parsed;
+}
+
+/**
+ * Write JSON via a temp file and rename, then keep a copy of it as the last good backup
+ * @param {Object} doc
+ */
+function writeAtomic(doc) {
+  const fd = fs.openSync(TEMP_PATH, 'w');
+  try {
+    fs.writeSync(fd, JSON.stringify(doc, null, 2), null, 'utf-8');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(TEMP_PATH, SETTINGS_PATH);
+  try {
+    fs.copyFileSync(SETTINGS_PATH, BACKUP_PATH);
+  } catch (e) {
+    logger.warn('Failed to update settings backup: ' + e.message);
+  }
+}
+
+/**
+ * Restore the backup after the main file failed to parse
+ * @returns {Object|null}
+ */
+function restoreBackup() {
+  if (!fs.existsSync(BACKUP_PATH)) return null;
+  try {
+    const doc = parseFile(BACKUP_PATH);
+    fs.copyFileSync(BACKUP_PATH, SETTINGS_PATH);
+    logger.warn('Restored settings from the last good backup');
+    return doc;
+  } catch (e) {
+    logger.error('Settings backup is unreadable too: ' + e.message);
+    return null;
+  }
+}
+
+/**
+ * Read the stored document, restoring the backup if the main file is corrupt
+ * @returns {Object|null}
+ */
+function readStored() {
+  if (!fs.existsSync(SETTINGS_PATH)) return restoreBackup();
+  try {
+    return parseFile(SETTINGS_PATH);
+  } catch (e) {
+    logger.error('Failed to read settings: ' + e.message);
+    const corruptPath = `${SETTINGS_PATH}.corrupt-${Date.now()}`;
+    try {
+      fs.renameSync(SETTINGS_PATH, corruptPath);
+      logger.warn(`Moved unreadable settings to ${path.basename(corruptPath)}`);
+    } catch (renameError) {
+      logger.error('Failed to move unreadable settings aside: ' + renameError.message);
+    }
+    return restoreBackup();
+  }
+}
+
+/**
+ * Read the stored document migrated to the current schema version
+ * @returns {Object|null}
+ */
+function readRaw() {
+  const stored = readStored();
+  if (!stored) return null;
+  const { doc, migrated } = settingsSchema.migrate(stored);
+  if (migrated) {
+    try {
+      writeAtomic(doc);
+    } catch (e) {
+      logger.error('Failed to save migrated settings: ' + e.message);
+    }
+  }
+  return doc;
+}
+
+/**
+ * Create an empty document with a single default profile
+ * @returns {Object}
+ */
+function createEmptyDocument() {
+  return {
+    version: settingsSchema.SCHEMA_VERSION,
+    active_profile: settingsSchema.DEFAULT_PROFILE,
+    profiles: { [settingsSchema.DEFAULT_PROFILE]: { preferences: {} } }
+  };
+}
+
+/**
+ * Make sure a stored document has at least one profile
+ * @param {Object|null} raw
+ * @returns {Object}
+ */
+function normalizeDocument(raw) {
+  const doc = raw || createEmptyDocument();
+  if (!doc.profiles || typeof doc.profiles !== 'object' || !Object.keys(doc.profiles).length) {
+    logger.warn('Settings contain no profiles, starting with an empty default profile');
+    return createEmptyDocument();
+  }
+  return doc;
+}
+
+/**
+ * Get the stored document, creating the in-memory default when there is none
+ * @returns {Object}
+ */
+function readDocument() {
+  return normalizeDocument(readRaw());
+}
+
+/**
+ * Check whether a profile exists, ignoring members inherited from Object.prototype
+ * @param {Object} doc
+ * @param {string} name
+ * @returns {boolean}
+ */
+function hasProfile(doc, name) {
+  return typeof name === 'string' && Object.hasOwn(doc.profiles, name);
+}
+
+/**
+ * Resolve the name of the active profile
+ * @param {Object} doc
+ * @returns {string}
+ */
+function getActiveProfileName(doc) {
+  if (hasProfile(doc, doc.active_profile)) return doc.active_profile;
+  return Object.keys(doc.profiles)[0];
+}
+
+function saveDocument(doc) {
+  writeAtomic({ ...doc, version: settingsSchema.SCHEMA_VERSION });
+}
+
+/**
+ * Read the active profile with credentials decrypted, migrating plaintext credentials from older versions
+ * @returns {Object|null}
+ */
+function read() {
+  const raw = readRaw();
+  if (!raw) return null;
+  const doc = normalizeDocument(raw);
+  const name = getActiveProfileName(doc);
+  const { credentials, ...rest } = settingsSchema.validate(doc.profiles[name]);
+  const profile = { ...rest, profile_name: name };
+  if (credentials) {
+    try {
+      return settingsSchema.validate({ ...profile, ...credentialStore.decrypt(credentials) });
+    } catch (e) {
+      if (e.message === 'LOCKED') return { ...profile, credentials_locked: true };
+      logger.error('Failed to decrypt saved credentials: ' + e.message);
+      return { ...profile, credentials_unreadable: true };
+    }
+  }
+  if (credentialStore.hasPlaintextSecrets(rest)) {
+    if (!credentialStore.isUnlocked()) return { ...profile, credentials_need_passphrase: true };
+    if (write(rest)) logger.info('Migrated plaintext credentials to encrypted storage');
+  }
+  return profile;
+}
+
+/**
+ * Get the secrets a profile already stores, so a save of some secret fields keeps the others
+ * @param {Object} profile - Stored profile
+ * @returns {Object} - Secrets; empty if they can not be read right now
+ */
+function readStoredSecrets(profile) {
+  const { secrets } = credentialStore.splitSecrets(profile);
+  if (!profile.credentials || !credentialStore.isUnlocked()) return secrets;
+  try {
+    return { ...secrets, ...credentialStore.decrypt(profile.credentials) };
+  } catch (e) {
+    logger.warn('Stored credentials could not be read and are replaced: ' + e.message);
+    return secrets;
+  }
+}
+
+/**
+ * Validate and merge data into the active profile, encrypting credentials, and save atomically
+ * @param {Object} data - Profile fields with plaintext credentials
+ * @param {string} [profileName] - Profile the data belongs to; the write is rejected if another profile is active
+ * @returns {boolean}
+ * @throws {Error} If a field is invalid; nothing is saved then
+ */
+function write(data, profileName) {
+  const errors = [];
+  const validated = settingsSchema.validate(data, errors);
+  if (errors.length) {
+    logger.error(`Settings not saved: ${errors.join('; ')}`);
+    throw new Error(`Invalid settings: ${errors.join('; ')}`);
+  }
+  try {
+    const doc = readDocument();
+    const name = getActiveProfileName(doc);
+    if (profileName !== undefined && profileName !== name) {
+      logger.warn(`Settings of profile "${profileName}" not saved: profile "${name}" is active`);
+      return false;
+    }
+    const { secrets, rest } = credentialStore.splitSecrets(validated);
+    CREDENTIAL_STATE_FLAGS.forEach(flag => delete rest[flag]);
+    delete rest.credentials;
+    delete rest.profile_name;
+    let profile = { ...doc.profiles[name], ...rest };
+    if (Object.keys(secrets).length) {
+      const merged = { ...readStoredSecrets(profile), ...secrets };
+      profile = { ...credentialStore.splitSecrets(profile).rest, credentials: credentialStore.encrypt(merged, profile.credentials) };
+    }
+    doc.profiles[name] = profile;
+    doc.active_profile = name;
+    saveDocument(doc);
+    return true;
+  } catch (e) {
+    logger.error('Failed to write settings: ' + e.message);
+    return false;
+  }
+}
+
+/**
+ * Try a passphrase against the active profile's credentials
+ * @param {string} passphrase
+ * @returns {Object|null} - Decrypted settings, or null if the passphrase is wrong
+ */
+function unlock(passphrase) {
+  const doc = readDocument();
+  const profile = doc.profiles[getActiveProfileName(doc)];
+  if (!credentialStore.unlock(profile.credentials, passphrase)) return null;
+  return read();
+}
+
+/**
+ * Re-save plaintext credentials left by older versions once they can be encrypted
+ */
+function migratePlaintextCredentials() {
+  const doc = readDocument();
+  const profile = doc.profiles[getActiveProfileName(doc)];
+  if (!profile.credentials && credentialStore.hasPlaintextSecrets(profile)) {
+    if (write(settingsSchema.validate(profile))) logger.info('Migrated plaintext credentials to encrypted storage');
+  }
+}
+
+/**
+ * List profile names and the active one
+ * @returns {{active: string, profiles: Array<string>}}
+ */
+function listProfiles() {
+  const doc = readDocument();
+  return { active: getActiveProfileName(doc), profiles: Object.keys(doc.profiles) };
+}
+
+/**
+ * Make another profile active
+ * @param {string} name
+ * @returns {Object|null} - The profile's settings, or null if it does not exist
+ */
+function switchProfile(name) {
+  const doc = readDocument();
+  if (!hasProfile(doc, name)) return null;
+  doc.active_profile = name;
+  saveDocument(doc);
+  logger.info(`Switched to profile "${name}"`);
+  return read();
+}
+
+/**
+ * Create an empty profile and make it active
+ * @param {string} name
+ * @returns {Object|null} - The new profile's settings, or null if the name is invalid or taken
+ */
+function createProfile(name) {
+  const doc = readDocument();
+  if (!settingsSchema.isValidProfileName(name) || hasProfile(doc, name)) return null;
+  doc.profiles[name] = { preferences: {} };
+  doc.active_profile = name;
+  saveDocument(doc);
+  logger.info(`Created profile "${name}"`);
+  return read();
+}
+
+/**
+ * Delete a profile. The last remaining profile can not be deleted.
+ * @param {string} name
+ * @returns {Object|null} - Settings of the profile that is active afterwards, or null on failure
+ */
+function deleteProfile(name) {
+  const doc = readDocument();
+  if (!hasProfile(doc, name) || Object.keys(doc.profiles).length <= 1) return null;
+  delete doc.profiles[name];
+  if (doc.active_profile === name) doc.active_profile = Object.keys(doc.profiles)[0];
+  saveDocument(doc);
+  logger.info(`Deleted profile "${name}"`);
+  return read();
+}
+
+module.exports = {
+  read,
+  write,
+  unlock,
+  migratePlaintextCredentials,
+  listProfiles,
+  switchProfile,
+  createProfile,
+  deleteProfile
+};
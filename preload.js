@@ -4,11 +4,36 @@ const electronAPI = {
     minimize: () => ipcRenderer.send('window-minimize'),
     close: () => ipcRenderer.send('window-close'),
     loadSettings: () => ipcRenderer.invoke('settings-load'),
-    saveSettings: (data) => ipcRenderer.invoke('settings-save', data),
+    saveSettings: (data, profileName) => ipcRenderer.invoke('settings-save', data, profileName),
+    listProfiles: () => ipcRenderer.invoke('profiles-list'),
+    switchProfile: (name) => ipcRenderer.invoke('profiles-switch', name),
+    createProfile: (name) => ipcRenderer.invoke('profiles-create', name),
+    deleteProfile: (name) => ipcRenderer.invoke('profiles-delete', name),
+    getCredentialStatus: () => ipcRenderer.invoke('credentials-status'),
+    unlockCredentials: (passphrase) => ipcRenderer.invoke('credentials-unlock', passphrase),
+    setCredentialPassphrase: (passphrase) => ipcRenderer.invoke('credentials-set-passphrase', passphrase),
     log: (level, message) => {
         ipcRenderer.send('log-message', level, message);
     },
-    openExternal: (url) => ipcRenderer.send('open-external', url),
+    getLogs: () => ipcRenderer.invoke('logs-get'),
+    openLogFolder: () => ipcRenderer.invoke('logs-open-folder'),
+    onLogEntry: (callback) => {
+        const listener = (event, entry) => callback(entry);
+        ipcRenderer.on('log-entry', listener);
+        return () => ipcRenderer.removeListener('log-entry', listener);
+    },
+    openExternal: (url) => ipcRenderer.invoke('open-external', url),
+    notify: (payload) => ipcRenderer.invoke('notify', payload),
+    onNotificationClick: (callback) => {
+        const listener = (event, data) => callback(data);
+        ipcRenderer.on('notification-click', listener);
+        return () => ipcRenderer.removeListener('notification-click', listener);
+    },
+    addJoinHistory: (record) => ipcRenderer.invoke('join-history-add', record),
+    getJoinHistory: () => ipcRenderer.invoke('join-history-get'),
+    exportJoinHistory: (format) => ipcRenderer.invoke('join-history-export', format),
+    lookupAvatars: (steamids) => ipcRenderer.invoke('avatar-cache-lookup', steamids),
+    refreshAvatars: (players) => ipcRenderer.invoke('avatar-cache-refresh', players),
     getAppVersion: () => ipcRenderer.invoke('get-app-version')
 };
 